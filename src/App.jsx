@@ -1,6 +1,13 @@
+import { useMemo, useState } from 'react';
 import { useShoppingList } from './hooks/useShoppingList.js';
 import { useAuth } from './context/AuthContext.jsx';
 import { getSuggestions } from './services/suggestions.js';
+import { getHiddenSuggestions } from './services/suggestionFeedback.js';
+import { buildBaskets, buildAssociationRules } from './services/associations.js';
+import { getBusiestStoreId } from './services/shoppingRoute.js';
+import { aggregateItems } from './services/aggregation.js';
+import { buildPriceIndex, getBudgetSummary } from './services/prices.js';
+import { canEditList } from './utils/sharing.js';
 import { Login } from './components/Login.jsx';
 import { ListSelector } from './components/ListSelector.jsx';
 import { AddItemForm } from './components/AddItemForm.jsx';
@@ -9,26 +16,66 @@ import { Suggestions } from './components/Suggestions.jsx';
 import { RecipePanel } from './components/RecipePanel.jsx';
 import { CategoryManager } from './components/CategoryManager.jsx';
 import { StoreManager } from './components/StoreManager.jsx';
+import { SyncIndicator } from './components/SyncIndicator.jsx';
+import { ShoppingMode } from './components/ShoppingMode.jsx';
+import { TripBar } from './components/TripBar.jsx';
+import { BudgetSummary } from './components/BudgetSummary.jsx';
+import { TripHistory } from './components/TripHistory.jsx';
+import { PantryManager } from './components/PantryManager.jsx';
 import styles from './App.module.css';
 
 /**
  * Root application component.
  * Gates content behind authentication.
  * Composes the list selector, item form, shopping list, suggestions, recipe panel,
- * category manager, and store manager.
+ * pantry, category manager, store manager and trip history, plus the
+ * full-screen shopping mode.
  */
 export const App = () => {
   const { user, isLoading, signOut } = useAuth();
   const { state, actions, activeList } = useShoppingList();
 
+  const [isShopping, setIsShopping] = useState(false);
+  const [isSuggestionStoreFiltered, setIsSuggestionStoreFiltered] = useState(true);
+
+  const canEdit = canEditList(activeList, user?.uid);
+  const hasUncheckedItems = activeList?.items.some((i) => !i.isChecked) ?? false;
+  const activeTrip = activeList?.activeTrip ?? null;
+  const shoppingStore = state.stores.find((s) => s.id === activeTrip?.storeId) ?? null;
+  const editableLists = state.lists.filter((l) => canEditList(l, user?.uid));
+  const budgetSummary = activeList?.budget != null
+    ? getBudgetSummary(buildPriceIndex(state.prices), activeList.items, activeList.budget)
+    : null;
+
+  // Mining every basket is the costly part, so only redo it when the data changes
+  const associationRules = useMemo(
+    () => buildAssociationRules(buildBaskets(state.trips, state.history)),
+    [state.trips, state.history],
+  );
   const suggestions = getSuggestions(
     state.history,
     activeList?.items ?? [],
+    {
+      associationRules,
+      feedback: state.suggestionFeedback,
+      listId: activeList?.id ?? null,
+      customCategories: state.customCategories,
+      learned: state.learnedCategories,
+      trips: state.trips,
+      stores: state.stores,
+      storeId: isSuggestionStoreFiltered ? shoppingStore?.id ?? null : null,
+    },
   );
+  const hiddenSuggestions = getHiddenSuggestions(state.suggestionFeedback);
 
-  const handleAddItem = (name, storeId = null, aisle = null) => {
+  const handleAddItem = (name, details = {}) => {
     if (!activeList) return;
-    actions.addItem(activeList.id, name, storeId, aisle);
+    actions.addItem(activeList.id, name, details);
+  };
+
+  const handleDismissSuggestion = (name) => {
+    if (!activeList) return;
+    actions.dismissSuggestion(activeList.id, name);
   };
 
   const handleAddItems = (items) => {
@@ -36,6 +83,11 @@ export const App = () => {
     actions.addItems(activeList.id, items);
   };
 
+  const handleMergeItems = (changes) => {
+    if (!activeList) return;
+    actions.updateItems(activeList.id, changes);
+  };
+
   const handleToggleItem = (itemId) => {
     if (!activeList) return;
     actions.toggleItem(activeList.id, itemId);
@@ -46,14 +98,14 @@ export const App = () => {
     actions.removeItem(activeList.id, itemId);
   };
 
-  const handleClearChecked = () => {
+  const handleClearChecked = (options) => {
     if (!activeList) return;
-    actions.clearChecked(activeList.id);
+    actions.clearChecked(activeList.id, options);
   };
 
   const handleUpdateCategory = (itemId, newCategory) => {
     if (!activeList) return;
-    actions.updateItem(activeList.id, itemId, { category: newCategory });
+    actions.recategorizeItem(activeList.id, itemId, newCategory);
   };
 
   const handleUpdateStore = (itemId, newStoreId) => {
@@ -66,6 +118,68 @@ export const App = () => {
     actions.updateItem(activeList.id, itemId, { aisle: newAisle });
   };
 
+  const handleUpdateQuantity = (itemId, quantity, unit) => {
+    if (!activeList) return;
+    actions.updateItem(activeList.id, itemId, { quantity, unit });
+  };
+
+  const handleUpdatePrice = (itemId, price, pricePerUnit) => {
+    if (!activeList) return;
+    actions.setItemPrice(activeList.id, itemId, price, pricePerUnit);
+  };
+
+  const handleUpdateEstimatedCost = (itemId, estimatedCost) => {
+    if (!activeList) return;
+    actions.updateItem(activeList.id, itemId, { estimatedCost });
+  };
+
+  const handleStartShopping = () => {
+    if (!activeList) return;
+    if (!activeTrip) {
+      actions.startTrip(activeList.id, getBusiestStoreId(activeList.items, state.stores));
+    }
+    setIsShopping(true);
+  };
+
+  const handleFinishTrip = (storeId, options) => {
+    if (!activeList) return;
+    actions.finishTrip(activeList.id, storeId, options);
+  };
+
+  const handleCancelTrip = () => {
+    if (!activeList) return;
+    actions.cancelTrip(activeList.id);
+  };
+
+  /** Re-adds a past trip's items, merging into the active list like recipe items do. */
+  const handleReAddTrip = (listId, items) => {
+    if (listId !== activeList?.id) {
+      actions.addItems(listId, items);
+      return;
+    }
+    const plan = aggregateItems(items, activeList.items);
+    if (plan.added.length > 0) actions.addItems(listId, plan.added);
+    if (plan.merged.length > 0) {
+      actions.updateItems(listId, plan.merged.map(({ existing, quantity, unit }) => ({
+        id: existing.id,
+        updates: { quantity, unit },
+      })));
+    }
+  };
+
+  /**
+   * Puts a pantry item back on a list. A used-up item leaves the pantry; one
+   * running low stays, flagged so it isn't re-added twice.
+   */
+  const handleRestockPantryItem = (listId, pantryItem, isUsedUp) => {
+    handleReAddTrip(listId, [{ name: pantryItem.name, category: pantryItem.category ?? null }]);
+    if (isUsedUp) {
+      actions.removePantryItem(pantryItem.id);
+    } else {
+      actions.updatePantryItem(pantryItem.id, { isLow: true });
+    }
+  };
+
   if (isLoading) {
     return (
       <div className={styles.loading}>
@@ -83,6 +197,7 @@ export const App = () => {
       <header className={styles.header}>
         <h1 className={styles.logo}>ShoppingList<span className={styles.ai}>AI</span></h1>
         <div className={styles.headerRight}>
+          <SyncIndicator />
           <span className={styles.userName}>
             {user.isAnonymous ? 'Guest' : user.displayName ?? user.email}
           </span>
@@ -97,31 +212,118 @@ export const App = () => {
           <ListSelector
             lists={state.lists}
             activeListId={state.activeListId}
+            currentUserId={user.uid}
             onSelect={actions.selectList}
             onCreate={actions.createList}
             onRename={actions.renameList}
+            onUpdateBudget={actions.setListBudget}
             onDelete={actions.deleteList}
+            onCreateInvite={actions.createInvite}
+            onJoin={actions.joinList}
+            onRemoveMember={actions.removeMember}
           />
         </aside>
 
         <section className={styles.content}>
           {activeList ? (
             <>
-              <h2 className={styles.listTitle}>{activeList.name}</h2>
-              <AddItemForm stores={state.stores} history={state.history} onAdd={handleAddItem} />
+              <div className={styles.listHeader}>
+                <h2 className={styles.listTitle}>{activeList.name}</h2>
+                {canEdit && hasUncheckedItems && !activeTrip && (
+                  <button
+                    type="button"
+                    className={styles.shopBtn}
+                    onClick={handleStartShopping}
+                  >
+                    Start shopping
+                  </button>
+                )}
+              </div>
+              {budgetSummary && <BudgetSummary summary={budgetSummary} />}
+              {canEdit && activeTrip && (
+                <TripBar
+                  trip={activeTrip}
+                  storeName={shoppingStore?.name ?? null}
+                  checkedCount={activeList.items.filter((i) => i.isChecked).length}
+                  onResume={handleStartShopping}
+                  onFinish={(options) => handleFinishTrip(activeTrip.storeId ?? null, options)}
+                  onCancel={handleCancelTrip}
+                />
+              )}
+              {canEdit ? (
+                <AddItemForm
+                  items={activeList.items}
+                  stores={state.stores}
+                  history={state.history}
+                  onAdd={handleAddItem}
+                  onUpdateQuantity={handleUpdateQuantity}
+                />
+              ) : (
+                <p className={styles.readOnlyNote}>
+                  You have view-only access to this list.
+                </p>
+              )}
               <ShoppingList
                 items={activeList.items}
                 customCategories={state.customCategories}
+                categorySettings={state.categorySettings}
                 stores={state.stores}
+                prices={state.prices}
+                readOnly={!canEdit}
                 onToggle={handleToggleItem}
                 onRemove={handleRemoveItem}
                 onUpdateCategory={handleUpdateCategory}
                 onUpdateStore={handleUpdateStore}
                 onUpdateAisle={handleUpdateAisle}
+                onUpdateQuantity={handleUpdateQuantity}
+                onUpdatePrice={handleUpdatePrice}
+                onUpdateEstimatedCost={handleUpdateEstimatedCost}
                 onClearChecked={handleClearChecked}
               />
-              <Suggestions suggestions={suggestions} onAdd={handleAddItem} />
-              <RecipePanel onAddItems={handleAddItems} />
+              {canEdit && (
+                <>
+                  <Suggestions
+                    suggestions={suggestions}
+                    hiddenSuggestions={hiddenSuggestions}
+                    customCategories={state.customCategories}
+                    categorySettings={state.categorySettings}
+                    shoppingStore={shoppingStore}
+                    isStoreFiltered={isSuggestionStoreFiltered && shoppingStore != null}
+                    onToggleStoreFilter={() => setIsSuggestionStoreFiltered(!isSuggestionStoreFiltered)}
+                    onAdd={handleAddItem}
+                    onDismiss={handleDismissSuggestion}
+                    onSnooze={actions.snoozeSuggestion}
+                    onNeverSuggest={actions.neverSuggest}
+                    onRestore={actions.restoreSuggestion}
+                  />
+                  <RecipePanel
+                    items={activeList.items}
+                    recipes={state.recipes}
+                    pantry={state.pantry}
+                    onAddItems={handleAddItems}
+                    onMergeItems={handleMergeItems}
+                    onCreateRecipe={actions.createRecipe}
+                    onUpdateRecipe={actions.updateRecipe}
+                    onDeleteRecipe={actions.deleteRecipe}
+                  />
+                </>
+              )}
+              <PantryManager
+                pantry={state.pantry}
+                lists={editableLists}
+                activeListId={state.activeListId}
+                onAdd={actions.addPantryItems}
+                onUpdate={actions.updatePantryItem}
+                onRemove={actions.removePantryItem}
+                onRestock={handleRestockPantryItem}
+              />
+              <TripHistory
+                trips={state.trips}
+                lists={editableLists}
+                activeListId={state.activeListId}
+                onReAdd={handleReAddTrip}
+                onDelete={actions.deleteTrip}
+              />
               <StoreManager
                 stores={state.stores}
                 onAdd={actions.addStore}
@@ -131,10 +333,14 @@ export const App = () => {
               />
               <CategoryManager
                 customCategories={state.customCategories}
-                onAdd={actions.addCustomCategory}
-                onUpdate={actions.updateCustomCategory}
-                onDelete={actions.deleteCustomCategory}
-                onReorder={actions.reorderCustomCategories}
+                categorySettings={state.categorySettings}
+                learnedCategories={state.learnedCategories}
+                onPreviewChange={actions.previewCategoryChange}
+                onSaveChange={actions.saveCategoryChange}
+                onUpdateBuiltIn={actions.updateBuiltInCategory}
+                onSetHidden={actions.setCategoryHidden}
+                onReorder={actions.reorderCategories}
+                onReset={actions.resetCategorySettings}
               />
             </>
           ) : (
@@ -145,6 +351,19 @@ export const App = () => {
           )}
         </section>
       </main>
+
+      {isShopping && activeList && canEdit && (
+        <ShoppingMode
+          items={activeList.items}
+          stores={state.stores}
+          customCategories={state.customCategories}
+          categorySettings={state.categorySettings}
+          initialStoreId={activeTrip?.storeId ?? null}
+          onToggle={handleToggleItem}
+          onFinishTrip={handleFinishTrip}
+          onExit={() => setIsShopping(false)}
+        />
+      )}
     </div>
   );
 };
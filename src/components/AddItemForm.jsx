@@ -1,5 +1,9 @@
 import { useState, useMemo, useRef, useEffect } from 'react';
 import PropTypes from 'prop-types';
+import { UNITS, parseQuantity, formatQuantity, addQuantities } from '../utils/units.js';
+import { PRIORITY_LABELS, PRIORITY_COLORS } from '../utils/priority.js';
+import { parseQuickAdd, hasQuickAddMarkers } from '../services/quickAdd.js';
+import { ConfirmDialog } from './ConfirmDialog.jsx';
 import styles from './AddItemForm.module.css';
 
 /**
@@ -22,11 +26,17 @@ const getUniqueNames = (history) => {
 
 /**
  * Form for adding new items to the shopping list.
- * Includes an input field with autocomplete from history,
- * optional store selector, and submit button.
+ * Includes quantity and unit fields, an input field with autocomplete from history,
+ * optional store selector, and submit button. If the item is already on the list
+ * (unchecked), offers to increase its quantity instead of adding a duplicate.
+ * The name input also accepts quick-add syntax ("2 lb chicken @costco aisle 7 !urgent"),
+ * previewed as chips under the input before submitting.
  */
-export const AddItemForm = ({ stores, history, onAdd }) => {
+export const AddItemForm = ({ items, stores, history, onAdd, onUpdateQuantity }) => {
   const [value, setValue] = useState('');
+  const [quantity, setQuantity] = useState('');
+  const [unit, setUnit] = useState('');
+  const [pendingMerge, setPendingMerge] = useState(null);
   const [selectedStore, setSelectedStore] = useState('');
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
   const [highlightedIndex, setHighlightedIndex] = useState(-1);
@@ -35,6 +45,9 @@ export const AddItemForm = ({ stores, history, onAdd }) => {
 
   const uniqueNames = useMemo(() => getUniqueNames(history), [history]);
 
+  const parsed = useMemo(() => parseQuickAdd(value, stores), [value, stores]);
+  const showParsed = value.trim() !== '' && hasQuickAddMarkers(parsed);
+
   const suggestions = useMemo(() => {
     const trimmed = value.trim().toLowerCase();
     if (!trimmed) return [];
@@ -84,17 +97,53 @@ export const AddItemForm = ({ stores, history, onAdd }) => {
     }
   }, [selectedStore]);
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    const trimmed = value.trim();
-    if (!trimmed) return;
-    onAdd(trimmed, selectedStore || null, selectedAisle || null);
+  const resetForm = () => {
     setValue('');
+    setQuantity('');
+    setUnit('');
     setSelectedAisle('');
     setIsDropdownOpen(false);
     setHighlightedIndex(-1);
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = value.trim();
+    if (!trimmed) return;
+    const name = parsed.name || trimmed;
+    // Explicit form fields win over anything typed inline
+    const amount = quantity
+      ? { quantity: parseQuantity(quantity), unit: unit || null }
+      : { quantity: parsed.quantity, unit: unit || parsed.unit };
+    const storeId = selectedStore || parsed.store?.id || null;
+    const aisle = selectedAisle || (parsed.store?.id === storeId ? parsed.aisle : null);
+
+    const existing = items.find(
+      (i) => !i.isChecked && i.name.toLowerCase() === name.toLowerCase()
+    );
+    const combined = existing ? addQuantities(existing, amount) : null;
+    if (existing && combined) {
+      setPendingMerge({ existing, amount, combined });
+      setIsDropdownOpen(false);
+      return;
+    }
+
+    onAdd(name, {
+      store: storeId,
+      aisle,
+      priority: parsed.priority,
+      ...amount,
+    });
+    resetForm();
+  };
+
+  const handleConfirmMerge = () => {
+    const { existing, combined } = pendingMerge;
+    onUpdateQuantity(existing.id, combined.quantity, combined.unit);
+    setPendingMerge(null);
+    resetForm();
+  };
+
   const handleInputChange = (e) => {
     setValue(e.target.value);
     setIsDropdownOpen(true);
@@ -127,6 +176,29 @@ export const AddItemForm = ({ stores, history, onAdd }) => {
 
   return (
     <form className={styles.form} onSubmit={handleSubmit}>
+      <input
+        className={styles.quantityInput}
+        type="number"
+        min="0"
+        step="any"
+        value={quantity}
+        onChange={(e) => setQuantity(e.target.value)}
+        placeholder="Qty"
+        aria-label="Quantity"
+      />
+      <select
+        className={styles.unitSelect}
+        value={unit}
+        onChange={(e) => setUnit(e.target.value)}
+        aria-label="Unit"
+      >
+        <option value="">Unit</option>
+        {Object.entries(UNITS).map(([key, def]) => (
+          <option key={key} value={key}>
+            {def.label}
+          </option>
+        ))}
+      </select>
       <div className={styles.inputWrapper} ref={wrapperRef}>
         <input
           className={styles.input}
@@ -135,7 +207,7 @@ export const AddItemForm = ({ stores, history, onAdd }) => {
           onChange={handleInputChange}
           onFocus={() => value.trim() && setIsDropdownOpen(true)}
           onKeyDown={handleKeyDown}
-          placeholder="Add an item..."
+          placeholder="Add an item... (e.g. 2 lb chicken @costco aisle 7 !urgent)"
           aria-label="New item name"
           autoComplete="off"
         />
@@ -189,17 +261,73 @@ export const AddItemForm = ({ stores, history, onAdd }) => {
       <button className={styles.button} type="submit" disabled={!value.trim()}>
         Add
       </button>
+      {showParsed && (
+        <div className={styles.parsedChips} aria-live="polite">
+          <span className={styles.chip}>
+            <span className={styles.chipLabel}>Item</span>
+            {parsed.name || '—'}
+          </span>
+          {parsed.quantity != null && (
+            <span className={styles.chip}>
+              <span className={styles.chipLabel}>Qty</span>
+              {formatQuantity(parsed.quantity, parsed.unit)}
+            </span>
+          )}
+          {parsed.storeQuery && (
+            <span
+              className={`${styles.chip} ${parsed.store ? '' : styles.chipWarning}`}
+              style={parsed.store ? { borderColor: parsed.store.color } : undefined}
+            >
+              <span className={styles.chipLabel}>Store</span>
+              {parsed.store ? parsed.store.name : `No store matches "${parsed.storeQuery}"`}
+            </span>
+          )}
+          {!parsed.storeQuery && parsed.store && (
+            <span className={styles.chip} style={{ borderColor: parsed.store.color }}>
+              <span className={styles.chipLabel}>Store</span>
+              {parsed.store.name}
+            </span>
+          )}
+          {parsed.aisleQuery && (
+            <span className={`${styles.chip} ${parsed.aisle ? '' : styles.chipWarning}`}>
+              <span className={styles.chipLabel}>Aisle</span>
+              {parsed.aisle ?? `No aisle matches "${parsed.aisleQuery}"`}
+            </span>
+          )}
+          {parsed.priority && (
+            <span className={styles.chip} style={{ borderColor: PRIORITY_COLORS[parsed.priority] }}>
+              <span className={styles.chipLabel}>Priority</span>
+              {PRIORITY_LABELS[parsed.priority]}
+            </span>
+          )}
+        </div>
+      )}
+      {pendingMerge && (
+        <ConfirmDialog
+          message={`"${pendingMerge.existing.name}" is already on your list${
+            pendingMerge.existing.quantity != null
+              ? ` (${formatQuantity(pendingMerge.existing.quantity, pendingMerge.existing.unit)})`
+              : ''
+          }. Update it to ${formatQuantity(pendingMerge.combined.quantity, pendingMerge.combined.unit)} instead of adding a duplicate?`}
+          confirmLabel="Update quantity"
+          onConfirm={handleConfirmMerge}
+          onCancel={() => setPendingMerge(null)}
+        />
+      )}
     </form>
   );
 };
 
 AddItemForm.propTypes = {
+  items: PropTypes.array,
   stores: PropTypes.array,
   history: PropTypes.array,
   onAdd: PropTypes.func.isRequired,
+  onUpdateQuantity: PropTypes.func.isRequired,
 };
 
 AddItemForm.defaultProps = {
+  items: [],
   stores: [],
   history: [],
 };
@@ -0,0 +1,59 @@
+import PropTypes from 'prop-types';
+import { formatPrice } from '../services/prices.js';
+import styles from './BudgetSummary.module.css';
+
+/**
+ * Shows a list's spending against its budget: spent so far (checked items),
+ * estimated remaining (unchecked items) and the budget, with a bar that
+ * turns red when the projected total goes over.
+ */
+export const BudgetSummary = ({ summary }) => {
+  const { spent, remaining, projected, budget, isOverBudget, unpricedCount } = summary;
+  const spentPercent = budget > 0 ? Math.min(100, (spent / budget) * 100) : 0;
+  const remainingPercent = budget > 0 ? Math.min(100 - spentPercent, (remaining / budget) * 100) : 0;
+
+  return (
+    <div className={`${styles.summary} ${isOverBudget ? styles.over : ''}`}>
+      <div className={styles.figures}>
+        <span>
+          Spent <strong>{formatPrice(spent)}</strong>
+        </span>
+        <span>
+          Remaining <strong>~{formatPrice(remaining)}</strong>
+        </span>
+        <span>
+          Budget <strong>{formatPrice(budget)}</strong>
+        </span>
+      </div>
+      <div className={styles.bar} aria-hidden="true">
+        <div className={styles.spentFill} style={{ width: `${spentPercent}%` }} />
+        <div className={styles.remainingFill} style={{ width: `${remainingPercent}%` }} />
+      </div>
+      {isOverBudget ? (
+        <p className={styles.warning} role="alert">
+          Estimated {formatPrice(projected - budget)} over budget
+        </p>
+      ) : (
+        <p className={styles.note}>
+          {formatPrice(budget - projected)} left after estimated items
+        </p>
+      )}
+      {unpricedCount > 0 && (
+        <p className={styles.note}>
+          {unpricedCount} item{unpricedCount === 1 ? ' has' : 's have'} no price or estimate yet
+        </p>
+      )}
+    </div>
+  );
+};
+
+BudgetSummary.propTypes = {
+  summary: PropTypes.shape({
+    spent: PropTypes.number.isRequired,
+    remaining: PropTypes.number.isRequired,
+    projected: PropTypes.number.isRequired,
+    budget: PropTypes.number.isRequired,
+    isOverBudget: PropTypes.bool.isRequired,
+    unpricedCount: PropTypes.number.isRequired,
+  }).isRequired,
+};
@@ -0,0 +1,138 @@
+import { useEffect } from 'react';
+import PropTypes from 'prop-types';
+import styles from './CategoryChangePreview.module.css';
+
+/**
+ * Modal listing the existing items a category change would move, with the
+ * list each one is on and its old and new category.
+ * Shows a loading state while `moves` is null. When `canSkipMoves` is set the
+ * change can also be saved without moving anything; otherwise (deletions) it
+ * can't be confirmed until the items have been read, so a failed read offers
+ * a retry instead.
+ */
+export const CategoryChangePreview = ({
+  title,
+  moves,
+  error,
+  labels,
+  colors,
+  confirmLabel,
+  canSkipMoves,
+  onConfirm,
+  onRetry,
+  onCancel,
+}) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onCancel]);
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) onCancel();
+  };
+
+  const isLoading = moves === null;
+  const count = moves?.length ?? 0;
+
+  const renderBadge = (key) => (
+    <span className={styles.badge} style={{ backgroundColor: colors[key] ?? '#9e9e9e' }}>
+      {labels[key] ?? key}
+    </span>
+  );
+
+  return (
+    <div className={styles.backdrop} onClick={handleBackdropClick}>
+      <div className={styles.dialog} role="dialog" aria-label={title}>
+        <h3 className={styles.title}>{title}</h3>
+
+        {isLoading && <p className={styles.message}>Checking your lists…</p>}
+        {error && (
+          <p className={styles.error}>
+            {canSkipMoves ? (
+              <>Couldn&apos;t read your lists, so existing items won&apos;t be moved.</>
+            ) : (
+              <>Couldn&apos;t read your lists to move this category&apos;s items. Try again before deleting.</>
+            )}
+          </p>
+        )}
+        {!isLoading && !error && (
+          <p className={styles.message}>
+            {count === 0
+              ? 'No existing items change category.'
+              : `${count} existing item${count === 1 ? '' : 's'} will move to a different category:`}
+          </p>
+        )}
+
+        {count > 0 && (
+          <ul className={styles.moves}>
+            {moves.map((move) => (
+              <li key={`${move.listId}/${move.itemId}`} className={styles.move}>
+                <span className={styles.itemName}>{move.itemName}</span>
+                <span className={styles.listName}>{move.listName}</span>
+                <span className={styles.change}>
+                  {renderBadge(move.from)}
+                  <span aria-hidden="true">→</span>
+                  {renderBadge(move.to)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className={styles.actions}>
+          <button type="button" className={styles.cancelBtn} onClick={onCancel}>
+            Cancel
+          </button>
+          {error && (
+            <button type="button" className={styles.skipBtn} onClick={onRetry}>
+              Retry
+            </button>
+          )}
+          {canSkipMoves && count > 0 && (
+            <button type="button" className={styles.skipBtn} onClick={() => onConfirm(false)}>
+              Save only
+            </button>
+          )}
+          <button
+            type="button"
+            className={styles.confirmBtn}
+            onClick={() => onConfirm(true)}
+            disabled={isLoading || (error && !canSkipMoves)}
+          >
+            {count > 0 ? `${confirmLabel} & move ${count}` : confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+CategoryChangePreview.propTypes = {
+  title: PropTypes.string.isRequired,
+  moves: PropTypes.arrayOf(PropTypes.shape({
+    listId: PropTypes.string.isRequired,
+    listName: PropTypes.string,
+    itemId: PropTypes.string.isRequired,
+    itemName: PropTypes.string.isRequired,
+    from: PropTypes.string,
+    to: PropTypes.string.isRequired,
+  })),
+  error: PropTypes.bool,
+  labels: PropTypes.object.isRequired,
+  colors: PropTypes.object.isRequired,
+  confirmLabel: PropTypes.string,
+  canSkipMoves: PropTypes.bool,
+  onConfirm: PropTypes.func.isRequired,
+  onRetry: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+CategoryChangePreview.defaultProps = {
+  moves: null,
+  error: false,
+  confirmLabel: 'Save',
+  canSkipMoves: true,
+};
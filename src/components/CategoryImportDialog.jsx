@@ -0,0 +1,115 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  planCategoryImport,
+  DUPLICATE_NAME_STRATEGIES,
+  KEYWORD_CONFLICT_STRATEGIES,
+} from '../services/categoryPacks.js';
+import styles from './CategoryImportDialog.module.css';
+
+/**
+ * Modal for importing a category pack. Summarizes what the import adds and
+ * changes, and lets the user choose how to handle categories with the same
+ * name and keywords another category already has.
+ */
+export const CategoryImportDialog = ({ fileName, categories, customCategories, onImport, onCancel }) => {
+  const [duplicateNames, setDuplicateNames] = useState(DUPLICATE_NAME_STRATEGIES.MERGE);
+  const [keywordConflicts, setKeywordConflicts] = useState(KEYWORD_CONFLICT_STRATEGIES.KEEP);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onCancel]);
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) onCancel();
+  };
+
+  const plan = planCategoryImport(customCategories, categories, { duplicateNames, keywordConflicts });
+  const hasChanges = plan.creates.length > 0 || plan.updates.length > 0;
+
+  return (
+    <div className={styles.backdrop} onClick={handleBackdropClick}>
+      <div className={styles.dialog} role="dialog" aria-label="Import categories">
+        <h3 className={styles.title}>Import categories</h3>
+        <p className={styles.message}>
+          {fileName} has {categories.length} categor{categories.length === 1 ? 'y' : 'ies'}.
+        </p>
+
+        {plan.duplicateNames.length > 0 && (
+          <div className={styles.conflict}>
+            <p>
+              Already have: <strong>{plan.duplicateNames.join(', ')}</strong>
+            </p>
+            <label className={styles.option}>
+              Categories with the same name
+              <select value={duplicateNames} onChange={(e) => setDuplicateNames(e.target.value)}>
+                <option value={DUPLICATE_NAME_STRATEGIES.MERGE}>Merge keywords into mine</option>
+                <option value={DUPLICATE_NAME_STRATEGIES.RENAME}>Import as a copy</option>
+                <option value={DUPLICATE_NAME_STRATEGIES.SKIP}>Skip</option>
+              </select>
+            </label>
+          </div>
+        )}
+
+        {plan.keywordConflicts.length > 0 && (
+          <div className={styles.conflict}>
+            <ul className={styles.keywordList}>
+              {plan.keywordConflicts.map(({ keyword, owner, importedInto }) => (
+                <li key={`${keyword}/${importedInto}`}>
+                  &ldquo;{keyword}&rdquo; is in {owner}, the pack puts it in {importedInto}
+                </li>
+              ))}
+            </ul>
+            <label className={styles.option}>
+              Keywords in two categories
+              <select value={keywordConflicts} onChange={(e) => setKeywordConflicts(e.target.value)}>
+                <option value={KEYWORD_CONFLICT_STRATEGIES.KEEP}>Keep them where they are</option>
+                <option value={KEYWORD_CONFLICT_STRATEGIES.MOVE}>Move them to the imported category</option>
+              </select>
+            </label>
+          </div>
+        )}
+
+        <p className={styles.summary}>
+          {hasChanges
+            ? [
+              plan.creates.length > 0 && `${plan.creates.length} new`,
+              plan.updates.length > 0 && `${plan.updates.length} updated`,
+              plan.skipped.length > 0 && `${plan.skipped.length} skipped`,
+            ].filter(Boolean).join(', ')
+            : 'Nothing to import - you already have everything in this pack.'}
+        </p>
+
+        <div className={styles.actions}>
+          <button type="button" className={styles.cancelBtn} onClick={onCancel}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className={styles.confirmBtn}
+            onClick={() => onImport(plan)}
+            disabled={!hasChanges}
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+CategoryImportDialog.propTypes = {
+  fileName: PropTypes.string.isRequired,
+  categories: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    color: PropTypes.string.isRequired,
+    keywords: PropTypes.arrayOf(PropTypes.string).isRequired,
+  })).isRequired,
+  customCategories: PropTypes.array.isRequired,
+  onImport: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
@@ -1,6 +1,19 @@
-import { useState } from 'react';
+import { useRef, useState } from 'react';
 import PropTypes from 'prop-types';
-import { CATEGORIES, CATEGORY_LABELS, CATEGORY_COLORS } from '../utils/categories.js';
+import {
+  CATEGORIES,
+  createCustomCategoryKey,
+  findKeywordConflicts,
+  getAllCategoryLabels,
+  getAllCategoryColors,
+  getOrderedCategoryKeys,
+} from '../utils/categories.js';
+import { applyCategoryChange } from '../services/categoryChanges.js';
+import { buildCategoryPack, parseCategoryPack } from '../services/categoryPacks.js';
+import { downloadFile } from '../utils/download.js';
+import { CategoryChangePreview } from './CategoryChangePreview.jsx';
+import { CategoryImportDialog } from './CategoryImportDialog.jsx';
+import { CategoryTester } from './CategoryTester.jsx';
 import { ConfirmDialog } from './ConfirmDialog.jsx';
 import styles from './CategoryManager.module.css';
 
@@ -13,76 +26,198 @@ const PRESET_COLORS = [
 
 const BUILT_IN_KEYS = Object.values(CATEGORIES);
 
+const CONFIRM_LABELS = { add: 'Save', update: 'Save', delete: 'Delete', import: 'Import' };
+
+/** Splits a comma-separated keyword field into trimmed keywords. */
+const parseKeywords = (text) => text
+  .split(',')
+  .map((k) => k.trim())
+  .filter(Boolean);
+
+/** Explains a keyword clash found by findKeywordConflicts. */
+const describeConflict = (conflict, labels) => {
+  const other = labels[conflict.otherCategory] ?? conflict.otherCategory;
+  if (conflict.type === 'shadow') {
+    return `"${conflict.keyword}" overrides the built-in keyword for ${other}.`;
+  }
+  return conflict.isWinner
+    ? `"${conflict.keyword}" is also a keyword of ${other}; this category comes first and wins.`
+    : `"${conflict.keyword}" is also a keyword of ${other}, which comes first and wins.`;
+};
+
 /**
- * Panel for managing custom categories: create, rename, delete, pick color, and edit keywords.
+ * Panel for managing categories. Custom categories can be created, renamed,
+ * recolored, given keywords and deleted; built-in ones can be renamed,
+ * recolored and hidden. All of them can be reordered, and the built-in
+ * settings reset to their defaults. Custom categories can be exported to a
+ * category pack file and packs imported. Keywords that clash with other
+ * categories are flagged, and any item name can be tested against the rules.
+ * Custom category changes are previewed first: existing items they would move
+ * to another category are listed and moved along with the change when saved.
  */
 export const CategoryManager = ({
   customCategories,
-  onAdd,
-  onUpdate,
-  onDelete,
+  categorySettings,
+  learnedCategories,
+  onPreviewChange,
+  onSaveChange,
+  onUpdateBuiltIn,
+  onSetHidden,
   onReorder,
+  onReset,
 }) => {
   const [isOpen, setIsOpen] = useState(false);
   const [newName, setNewName] = useState('');
   const [newColor, setNewColor] = useState(PRESET_COLORS[0]);
   const [newKeywords, setNewKeywords] = useState('');
-  const [editingId, setEditingId] = useState(null);
+  const [editingKey, setEditingKey] = useState(null);
   const [editName, setEditName] = useState('');
   const [editColor, setEditColor] = useState('');
   const [editKeywords, setEditKeywords] = useState('');
-  const [confirmingDeleteId, setConfirmingDeleteId] = useState(null);
+  // Change awaiting confirmation: { change, title, moves (null while loading), error }
+  const [pending, setPending] = useState(null);
+  const [isConfirmingReset, setIsConfirmingReset] = useState(false);
+  // Category pack being imported: { fileName, categories }
+  const [importPack, setImportPack] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const orderedKeys = getOrderedCategoryKeys(customCategories, categorySettings);
+  const labels = getAllCategoryLabels(customCategories, categorySettings);
+  const colors = getAllCategoryColors(customCategories, categorySettings);
+  const hidden = categorySettings?.hidden ?? [];
+
+  const finishChange = (change, moves) => {
+    onSaveChange(change, moves);
+    setPending(null);
+    if (change.type === 'add') {
+      setNewName('');
+      setNewKeywords('');
+      setNewColor(PRESET_COLORS[0]);
+    } else if (change.type === 'update') {
+      setEditingKey(null);
+    } else if (change.type === 'import') {
+      setImportPack(null);
+    }
+  };
+
+  /**
+   * Previews which existing items a change would move. Additions and edits
+   * that move nothing are saved straight away; deletions always ask first.
+   */
+  const startChange = (change, title) => {
+    setPending({ change, title, moves: null, error: false });
+    onPreviewChange(change)
+      .then((moves) => {
+        if (moves.length === 0 && change.type !== 'delete') {
+          finishChange(change, []);
+          return;
+        }
+        setPending((p) => (p?.change === change ? { ...p, moves } : p));
+      })
+      .catch(() => {
+        setPending((p) => (p?.change === change ? { ...p, moves: [], error: true } : p));
+      });
+  };
 
   const handleCreate = (e) => {
     e.preventDefault();
     const trimmed = newName.trim();
     if (!trimmed) return;
-    const keywords = newKeywords
-      .split(',')
-      .map((k) => k.trim())
-      .filter(Boolean);
-    onAdd(trimmed, newColor, keywords);
-    setNewName('');
-    setNewKeywords('');
-    setNewColor(PRESET_COLORS[0]);
+    startChange({
+      type: 'add',
+      category: {
+        key: createCustomCategoryKey(),
+        name: trimmed,
+        color: newColor,
+        keywords: parseKeywords(newKeywords),
+      },
+    }, `Add category "${trimmed}"`);
   };
 
-  const handleStartEdit = (cat) => {
-    setEditingId(cat.id);
-    setEditName(cat.name);
-    setEditColor(cat.color);
-    setEditKeywords(cat.keywords.join(', '));
+  const renderConflicts = (conflicts) => conflicts.length > 0 && (
+    <ul className={styles.warnings}>
+      {conflicts.map((conflict) => (
+        <li key={`${conflict.type}/${conflict.keyword}/${conflict.otherCategory}`}>
+          {describeConflict(conflict, labels)}
+        </li>
+      ))}
+    </ul>
+  );
+
+  const handleStartEdit = (key) => {
+    const custom = customCategories.find((cat) => cat.key === key);
+    setEditingKey(key);
+    setEditName(labels[key]);
+    setEditColor(colors[key]);
+    setEditKeywords(custom ? custom.keywords.join(', ') : '');
   };
 
-  const handleSaveEdit = (id) => {
+  const handleSaveEdit = (key) => {
     const trimmed = editName.trim();
     if (!trimmed) return;
-    const keywords = editKeywords
-      .split(',')
-      .map((k) => k.trim())
-      .filter(Boolean);
-    onUpdate(id, { name: trimmed, color: editColor, keywords });
-    setEditingId(null);
+    const custom = customCategories.find((cat) => cat.key === key);
+    if (!custom) {
+      // Built-in categories have no keywords to change, so nothing moves
+      onUpdateBuiltIn(key, { label: trimmed, color: editColor });
+      setEditingKey(null);
+      return;
+    }
+    startChange({
+      type: 'update',
+      id: custom.id,
+      updates: { name: trimmed, color: editColor, keywords: parseKeywords(editKeywords) },
+    }, `Save category "${trimmed}"`);
+  };
+
+  const handleDelete = (cat) => {
+    startChange({ type: 'delete', id: cat.id }, `Delete category "${cat.name}"?`);
   };
 
   const handleCancelEdit = () => {
-    setEditingId(null);
+    setEditingKey(null);
   };
 
-  const handleMoveUp = (index) => {
-    if (index === 0) return;
-    const reordered = [...customCategories];
-    [reordered[index - 1], reordered[index]] = [reordered[index], reordered[index - 1]];
-    onReorder(reordered);
+  const handleExport = () => {
+    const pack = buildCategoryPack(customCategories);
+    downloadFile('categories.json', JSON.stringify(pack, null, 2));
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow picking the same file again
+    if (!file) return;
+    setImportError(null);
+    try {
+      setImportPack({ fileName: file.name, categories: parseCategoryPack(await file.text()) });
+    } catch (err) {
+      setImportError(err.message);
+    }
   };
 
-  const handleMoveDown = (index) => {
-    if (index === customCategories.length - 1) return;
-    const reordered = [...customCategories];
-    [reordered[index], reordered[index + 1]] = [reordered[index + 1], reordered[index]];
+  const handleImport = (plan) => {
+    startChange({
+      type: 'import',
+      creates: plan.creates,
+      categoryUpdates: plan.updates,
+    }, `Import ${importPack.fileName}`);
+  };
+
+  const handleMove = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= orderedKeys.length) return;
+    const reordered = [...orderedKeys];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
     onReorder(reordered);
   };
 
+  // Labels for the preview cover categories both before and after the change
+  const previewCategories = pending
+    ? [...customCategories, ...applyCategoryChange(customCategories, pending.change).categories]
+    : customCategories;
+  const previewLabels = getAllCategoryLabels(previewCategories, categorySettings);
+  const previewColors = getAllCategoryColors(previewCategories, categorySettings);
+
   return (
     <div className={styles.container}>
       <button
@@ -96,151 +231,214 @@ export const CategoryManager = ({
 
       {isOpen && (
         <div className={styles.panel}>
-          {/* Built-in categories (read-only display) */}
           <div className={styles.section}>
-            <h4 className={styles.sectionTitle}>Built-in Categories</h4>
-            <div className={styles.builtInGrid}>
-              {BUILT_IN_KEYS.map((key) => (
-                <span
-                  key={key}
-                  className={styles.builtInBadge}
-                  style={{ backgroundColor: CATEGORY_COLORS[key] }}
+            <div className={styles.sectionHeader}>
+              <h4 className={styles.sectionTitle}>
+                Categories ({orderedKeys.length - hidden.length})
+              </h4>
+              {categorySettings && (
+                <button
+                  type="button"
+                  className={styles.resetBtn}
+                  onClick={() => setIsConfirmingReset(true)}
                 >
-                  {CATEGORY_LABELS[key]}
-                </span>
-              ))}
+                  Reset to defaults
+                </button>
+              )}
+              {isConfirmingReset && (
+                <ConfirmDialog
+                  message="Reset built-in category names, colors, order and visibility? Custom categories are kept."
+                  confirmLabel="Reset"
+                  onConfirm={() => {
+                    onReset();
+                    setIsConfirmingReset(false);
+                  }}
+                  onCancel={() => setIsConfirmingReset(false)}
+                />
+              )}
             </div>
-          </div>
-
-          {/* Custom categories */}
-          <div className={styles.section}>
-            <h4 className={styles.sectionTitle}>
-              Custom Categories ({customCategories.length})
-            </h4>
-
-            {customCategories.length === 0 && (
-              <p className={styles.emptyHint}>No custom categories yet.</p>
-            )}
 
             <div className={styles.customList}>
-              {customCategories.map((cat, index) => (
-                <div key={cat.id} className={styles.customItem}>
-                  {editingId === cat.id ? (
-                    <div className={styles.editForm}>
-                      <input
-                        type="text"
-                        value={editName}
-                        onChange={(e) => setEditName(e.target.value)}
-                        className={styles.input}
-                        placeholder="Category name"
-                      />
-                      <div className={styles.colorPicker}>
-                        {PRESET_COLORS.map((c) => (
+              {orderedKeys.map((key, index) => {
+                const custom = customCategories.find((cat) => cat.key === key);
+                const conflicts = custom ? findKeywordConflicts(custom.keywords, key, customCategories) : [];
+                const isBuiltIn = BUILT_IN_KEYS.includes(key);
+                const isHidden = hidden.includes(key);
+                return (
+                  <div key={key} className={`${styles.customItem} ${isHidden ? styles.hiddenItem : ''}`}>
+                    {editingKey === key ? (
+                      <div className={styles.editForm}>
+                        <input
+                          type="text"
+                          value={editName}
+                          onChange={(e) => setEditName(e.target.value)}
+                          className={styles.input}
+                          placeholder="Category name"
+                        />
+                        <div className={styles.colorPicker}>
+                          {PRESET_COLORS.map((c) => (
+                            <button
+                              key={c}
+                              type="button"
+                              className={`${styles.colorSwatch} ${editColor === c ? styles.colorSelected : ''}`}
+                              style={{ backgroundColor: c }}
+                              onClick={() => setEditColor(c)}
+                              aria-label={`Color ${c}`}
+                            />
+                          ))}
+                        </div>
+                        {custom && (
+                          <input
+                            type="text"
+                            value={editKeywords}
+                            onChange={(e) => setEditKeywords(e.target.value)}
+                            className={styles.input}
+                            placeholder="Keywords (comma-separated)"
+                          />
+                        )}
+                        {custom && renderConflicts(
+                          findKeywordConflicts(parseKeywords(editKeywords), key, customCategories),
+                        )}
+                        <div className={styles.editActions}>
                           <button
-                            key={c}
                             type="button"
-                            className={`${styles.colorSwatch} ${editColor === c ? styles.colorSelected : ''}`}
-                            style={{ backgroundColor: c }}
-                            onClick={() => setEditColor(c)}
-                            aria-label={`Color ${c}`}
-                          />
-                        ))}
-                      </div>
-                      <input
-                        type="text"
-                        value={editKeywords}
-                        onChange={(e) => setEditKeywords(e.target.value)}
-                        className={styles.input}
-                        placeholder="Keywords (comma-separated)"
-                      />
-                      <div className={styles.editActions}>
-                        <button
-                          type="button"
-                          className={styles.saveBtn}
-                          onClick={() => handleSaveEdit(cat.id)}
-                        >
-                          Save
-                        </button>
-                        <button
-                          type="button"
-                          className={styles.cancelBtn}
-                          onClick={handleCancelEdit}
-                        >
-                          Cancel
-                        </button>
+                            className={styles.saveBtn}
+                            onClick={() => handleSaveEdit(key)}
+                          >
+                            Save
+                          </button>
+                          <button
+                            type="button"
+                            className={styles.cancelBtn}
+                            onClick={handleCancelEdit}
+                          >
+                            Cancel
+                          </button>
+                        </div>
                       </div>
-                    </div>
-                  ) : (
-                    <div className={styles.customItemRow}>
-                      <span
-                        className={styles.customBadge}
-                        style={{ backgroundColor: cat.color }}
-                      >
-                        {cat.name}
-                      </span>
-                      <span className={styles.keywordPreview}>
-                        {cat.keywords.length > 0
-                          ? cat.keywords.slice(0, 3).join(', ') +
-                            (cat.keywords.length > 3 ? ` +${cat.keywords.length - 3}` : '')
-                          : 'No keywords'}
-                      </span>
-                      <div className={styles.itemActions}>
-                        <button
-                          type="button"
-                          className={styles.iconBtn}
-                          onClick={() => handleMoveUp(index)}
-                          disabled={index === 0}
-                          aria-label="Move up"
-                          title="Move up"
-                        >
-                          ↑
-                        </button>
-                        <button
-                          type="button"
-                          className={styles.iconBtn}
-                          onClick={() => handleMoveDown(index)}
-                          disabled={index === customCategories.length - 1}
-                          aria-label="Move down"
-                          title="Move down"
-                        >
-                          ↓
-                        </button>
-                        <button
-                          type="button"
-                          className={styles.iconBtn}
-                          onClick={() => handleStartEdit(cat)}
-                          aria-label="Edit"
-                          title="Edit"
-                        >
-                          ✎
-                        </button>
-                        <button
-                          type="button"
-                          className={`${styles.iconBtn} ${styles.deleteIcon}`}
-                          onClick={() => setConfirmingDeleteId(cat.id)}
-                          aria-label={`Delete ${cat.name}`}
-                          title="Delete"
+                    ) : (
+                      <div className={styles.customItemRow}>
+                        <span
+                          className={styles.customBadge}
+                          style={{ backgroundColor: colors[key] }}
                         >
-                          ×
-                        </button>
-                        {confirmingDeleteId === cat.id && (
-                          <ConfirmDialog
-                            message={`Delete category "${cat.name}"?`}
-                            onConfirm={() => {
-                              onDelete(cat.id);
-                              setConfirmingDeleteId(null);
-                            }}
-                            onCancel={() => setConfirmingDeleteId(null)}
-                          />
+                          {labels[key]}
+                        </span>
+                        <span className={styles.keywordPreview}>
+                          {custom && (custom.keywords.length > 0
+                            ? custom.keywords.slice(0, 3).join(', ') +
+                              (custom.keywords.length > 3 ? ` +${custom.keywords.length - 3}` : '')
+                            : 'No keywords')}
+                          {isBuiltIn && (isHidden ? 'Built-in · hidden' : 'Built-in')}
+                        </span>
+                        {conflicts.length > 0 && (
+                          <span
+                            className={styles.conflictMark}
+                            title={conflicts.map((c) => describeConflict(c, labels)).join('\n')}
+                            aria-label={`${conflicts.length} keyword conflict${conflicts.length === 1 ? '' : 's'}`}
+                          >
+                            ⚠ {conflicts.length}
+                          </span>
                         )}
+                        <div className={styles.itemActions}>
+                          <button
+                            type="button"
+                            className={styles.iconBtn}
+                            onClick={() => handleMove(index, -1)}
+                            disabled={index === 0}
+                            aria-label="Move up"
+                            title="Move up"
+                          >
+                            ↑
+                          </button>
+                          <button
+                            type="button"
+                            className={styles.iconBtn}
+                            onClick={() => handleMove(index, 1)}
+                            disabled={index === orderedKeys.length - 1}
+                            aria-label="Move down"
+                            title="Move down"
+                          >
+                            ↓
+                          </button>
+                          <button
+                            type="button"
+                            className={styles.iconBtn}
+                            onClick={() => handleStartEdit(key)}
+                            aria-label="Edit"
+                            title="Edit"
+                          >
+                            ✎
+                          </button>
+                          {isBuiltIn && key !== CATEGORIES.OTHER && (
+                            <button
+                              type="button"
+                              className={styles.textBtn}
+                              onClick={() => onSetHidden(key, !isHidden)}
+                              aria-label={`${isHidden ? 'Show' : 'Hide'} ${labels[key]}`}
+                            >
+                              {isHidden ? 'Show' : 'Hide'}
+                            </button>
+                          )}
+                          {custom && (
+                            <button
+                              type="button"
+                              className={`${styles.iconBtn} ${styles.deleteIcon}`}
+                              onClick={() => handleDelete(custom)}
+                              aria-label={`Delete ${custom.name}`}
+                              title="Delete"
+                            >
+                              ×
+                            </button>
+                          )}
+                        </div>
                       </div>
-                    </div>
-                  )}
-                </div>
-              ))}
+                    )}
+                  </div>
+                );
+              })}
             </div>
           </div>
 
+          <div className={styles.section}>
+            <h4 className={styles.sectionTitle}>Test an Item Name</h4>
+            <CategoryTester
+              customCategories={customCategories}
+              categorySettings={categorySettings}
+              learned={learnedCategories}
+            />
+          </div>
+
+          {/* Category packs */}
+          <div className={styles.section}>
+            <h4 className={styles.sectionTitle}>Share Categories</h4>
+            <div className={styles.packActions}>
+              <button
+                type="button"
+                className={styles.cancelBtn}
+                onClick={handleExport}
+                disabled={customCategories.length === 0}
+              >
+                Export
+              </button>
+              <button
+                type="button"
+                className={styles.cancelBtn}
+                onClick={() => fileInputRef.current?.click()}
+              >
+                Import
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json,application/json"
+                className={styles.fileInput}
+                onChange={handleImportFile}
+              />
+            </div>
+            {importError && <p className={styles.error}>{importError}</p>}
+          </div>
+
           {/* Add new category form */}
           <form className={styles.addForm} onSubmit={handleCreate}>
             <h4 className={styles.sectionTitle}>Add New Category</h4>
@@ -270,12 +468,38 @@ export const CategoryManager = ({
               className={styles.input}
               placeholder="Keywords (comma-separated, e.g. tofu, tempeh)"
             />
+            {renderConflicts(findKeywordConflicts(parseKeywords(newKeywords), null, customCategories))}
             <button type="submit" className={styles.addBtn} disabled={!newName.trim()}>
               Add Category
             </button>
           </form>
         </div>
       )}
+
+      {importPack && !pending && (
+        <CategoryImportDialog
+          fileName={importPack.fileName}
+          categories={importPack.categories}
+          customCategories={customCategories}
+          onImport={handleImport}
+          onCancel={() => setImportPack(null)}
+        />
+      )}
+
+      {pending && (
+        <CategoryChangePreview
+          title={pending.title}
+          moves={pending.moves}
+          error={pending.error}
+          labels={previewLabels}
+          colors={previewColors}
+          confirmLabel={CONFIRM_LABELS[pending.change.type]}
+          canSkipMoves={pending.change.type !== 'delete'}
+          onConfirm={(withMoves) => finishChange(pending.change, withMoves ? pending.moves : [])}
+          onRetry={() => startChange(pending.change, pending.title)}
+          onCancel={() => setPending(null)}
+        />
+      )}
     </div>
   );
 };
@@ -290,8 +514,22 @@ CategoryManager.propTypes = {
       keywords: PropTypes.arrayOf(PropTypes.string).isRequired,
     })
   ).isRequired,
-  onAdd: PropTypes.func.isRequired,
-  onUpdate: PropTypes.func.isRequired,
-  onDelete: PropTypes.func.isRequired,
+  categorySettings: PropTypes.shape({
+    labels: PropTypes.objectOf(PropTypes.string),
+    colors: PropTypes.objectOf(PropTypes.string),
+    hidden: PropTypes.arrayOf(PropTypes.string),
+    order: PropTypes.arrayOf(PropTypes.string),
+  }),
+  learnedCategories: PropTypes.object,
+  onPreviewChange: PropTypes.func.isRequired,
+  onSaveChange: PropTypes.func.isRequired,
+  onUpdateBuiltIn: PropTypes.func.isRequired,
+  onSetHidden: PropTypes.func.isRequired,
   onReorder: PropTypes.func.isRequired,
+  onReset: PropTypes.func.isRequired,
+};
+
+CategoryManager.defaultProps = {
+  categorySettings: null,
+  learnedCategories: null,
 };
@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  categorizeItemWithConfidence,
+  getAllCategoryLabels,
+  getAllCategoryColors,
+  LOW_CONFIDENCE,
+} from '../utils/categories.js';
+import styles from './CategoryTester.module.css';
+
+/** Explains in words how a categorization result was reached. */
+const describeMatch = (result, customCategories) => {
+  const custom = customCategories.find((cat) => cat.key === result.category);
+  const source = custom ? `your "${custom.name}" keywords` : 'the built-in keywords';
+  switch (result.rule) {
+    case 'override':
+      return 'You moved this item here before, so it always goes here.';
+    case 'exact':
+      return `The name matches "${result.keyword}" in ${source}.`;
+    case 'phrase':
+      return `The name contains the phrase "${result.keyword}" from ${source}.`;
+    case 'word':
+      return result.confidence < LOW_CONFIDENCE
+        ? `The word "${result.keyword}" from ${source} matched, but other words point to different categories.`
+        : `The word "${result.keyword}" from ${source} matched.`;
+    case 'learned':
+      return 'Learned from the items you have moved between categories.';
+    case 'fuzzy':
+      return `The name is close to "${result.keyword}" from ${source} - maybe a typo.`;
+    default:
+      return 'No keyword matched.';
+  }
+};
+
+/**
+ * "Test an item name" box: shows which category a name would get, which rule
+ * matched and how sure the match is. Also mentions when custom keywords
+ * override the category the built-in keywords would give.
+ */
+export const CategoryTester = ({ customCategories, categorySettings, learned }) => {
+  const [name, setName] = useState('');
+
+  const labels = getAllCategoryLabels(customCategories, categorySettings);
+  const colors = getAllCategoryColors(customCategories, categorySettings);
+  const trimmed = name.trim();
+  const result = trimmed ? categorizeItemWithConfidence(trimmed, customCategories, learned) : null;
+  const builtInOnly = trimmed ? categorizeItemWithConfidence(trimmed) : null;
+  const isOverridden = result && builtInOnly.category !== result.category && builtInOnly.rule !== 'none';
+
+  return (
+    <div className={styles.tester}>
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        className={styles.input}
+        placeholder="Test an item name, e.g. tortilla chips"
+        aria-label="Test an item name"
+      />
+      {result && (
+        <div className={styles.result}>
+          <span className={styles.badge} style={{ backgroundColor: colors[result.category] ?? '#9e9e9e' }}>
+            {labels[result.category] ?? result.category}
+          </span>
+          <span className={styles.confidence}>{Math.round(result.confidence * 100)}% sure</span>
+          <p className={styles.reason}>{describeMatch(result, customCategories)}</p>
+          {isOverridden && (
+            <p className={styles.reason}>
+              Without your own keywords and corrections it would be {labels[builtInOnly.category]}.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+CategoryTester.propTypes = {
+  customCategories: PropTypes.array.isRequired,
+  categorySettings: PropTypes.object,
+  learned: PropTypes.object,
+};
+
+CategoryTester.defaultProps = {
+  categorySettings: null,
+  learned: null,
+};
@@ -4,10 +4,11 @@ import styles from './ConfirmDialog.module.css';
 
 /**
  * Reusable modal confirmation dialog.
- * Renders a backdrop overlay with a message and confirm/cancel buttons.
+ * Renders a backdrop overlay with a message and confirm/cancel buttons, plus an
+ * optional checkbox for a choice that goes with the action.
  * Closes on Escape key or backdrop click.
  */
-export const ConfirmDialog = ({ message, confirmLabel, onConfirm, onCancel }) => {
+export const ConfirmDialog = ({ message, confirmLabel, option, onConfirm, onCancel }) => {
   const dialogRef = useRef(null);
 
   useEffect(() => {
@@ -31,6 +32,16 @@ export const ConfirmDialog = ({ message, confirmLabel, onConfirm, onCancel }) =>
     <div className={styles.backdrop} onClick={handleBackdropClick} ref={dialogRef}>
       <div className={styles.dialog}>
         <p className={styles.message}>{message}</p>
+        {option && (
+          <label className={styles.option}>
+            <input
+              type="checkbox"
+              checked={option.checked}
+              onChange={(e) => option.onChange(e.target.checked)}
+            />
+            {option.label}
+          </label>
+        )}
         <div className={styles.actions}>
           <button type="button" className={styles.cancelBtn} onClick={onCancel}>
             Cancel
@@ -47,6 +58,11 @@ export const ConfirmDialog = ({ message, confirmLabel, onConfirm, onCancel }) =>
 ConfirmDialog.propTypes = {
   message: PropTypes.string.isRequired,
   confirmLabel: PropTypes.string,
+  option: PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    checked: PropTypes.bool.isRequired,
+    onChange: PropTypes.func.isRequired,
+  }),
   onConfirm: PropTypes.func.isRequired,
   onCancel: PropTypes.func.isRequired,
 };
@@ -1,18 +1,138 @@
-import { useState } from 'react';
+import { useRef, useState } from 'react';
 import PropTypes from 'prop-types';
+import { LIST_ROLES, LIST_ROLE_LABELS, getListRole, isSharedList } from '../utils/sharing.js';
 import { ConfirmDialog } from './ConfirmDialog.jsx';
 import styles from './ListSelector.module.css';
 
+/**
+ * Members panel for a single list.
+ * Shows the owner and every member with their role. The owner can generate
+ * invite codes and remove members.
+ */
+const ListMembers = ({ list, currentUserId, onCreateInvite, onRemoveMember }) => {
+  const [inviteRole, setInviteRole] = useState(LIST_ROLES.EDITOR);
+  const [inviteCode, setInviteCode] = useState(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [confirmingRemoveId, setConfirmingRemoveId] = useState(null);
+
+  const isOwner = getListRole(list, currentUserId) === LIST_ROLES.OWNER;
+  const members = Object.entries(list.members ?? {});
+
+  const handleGenerate = async () => {
+    setIsGenerating(true);
+    try {
+      setInviteCode(await onCreateInvite(list.id, inviteRole));
+    } catch (err) {
+      console.error('Failed to create invite:', err);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  return (
+    <div className={styles.members}>
+      <h5 className={styles.membersTitle}>Members</h5>
+      <div className={styles.memberRow}>
+        <span className={styles.memberName}>
+          {isOwner ? 'You' : list.ownerName ?? 'Owner'}
+        </span>
+        <span className={styles.roleBadge}>{LIST_ROLE_LABELS[LIST_ROLES.OWNER]}</span>
+      </div>
+      {members.map(([memberId, member]) => (
+        <div key={memberId} className={styles.memberRow}>
+          <span className={styles.memberName}>
+            {memberId === currentUserId ? 'You' : member.name}
+          </span>
+          <span className={styles.roleBadge}>{LIST_ROLE_LABELS[member.role] ?? member.role}</span>
+          {isOwner && (
+            <button
+              type="button"
+              className={styles.memberRemoveBtn}
+              onClick={() => setConfirmingRemoveId(memberId)}
+              aria-label={`Remove ${member.name}`}
+              title="Remove member"
+            >
+              x
+            </button>
+          )}
+          {confirmingRemoveId === memberId && (
+            <ConfirmDialog
+              message={`Remove ${member.name} from "${list.name}"?`}
+              confirmLabel="Remove"
+              onConfirm={() => {
+                onRemoveMember(list.id, memberId);
+                setConfirmingRemoveId(null);
+              }}
+              onCancel={() => setConfirmingRemoveId(null)}
+            />
+          )}
+        </div>
+      ))}
+
+      {isOwner && (
+        <div className={styles.inviteRow}>
+          <select
+            className={styles.roleSelect}
+            value={inviteRole}
+            onChange={(e) => {
+              setInviteRole(e.target.value);
+              setInviteCode(null);
+            }}
+            aria-label="Invite role"
+          >
+            <option value={LIST_ROLES.EDITOR}>{LIST_ROLE_LABELS[LIST_ROLES.EDITOR]}</option>
+            <option value={LIST_ROLES.VIEWER}>{LIST_ROLE_LABELS[LIST_ROLES.VIEWER]}</option>
+          </select>
+          <button
+            type="button"
+            className={styles.inviteBtn}
+            onClick={handleGenerate}
+            disabled={isGenerating}
+          >
+            Invite code
+          </button>
+        </div>
+      )}
+      {inviteCode && (
+        <p className={styles.inviteCode}>
+          Share this code: <strong>{inviteCode}</strong>
+        </p>
+      )}
+    </div>
+  );
+};
+
 /**
  * Sidebar/dropdown for managing multiple shopping lists.
- * Shows all lists, allows creating new ones, renaming, and switching between them.
+ * Shows all lists, allows creating new ones, renaming, setting a budget, and
+ * switching between them.
+ * Lists shared with the user are marked, and lists can be shared or joined via invite codes.
  */
-export const ListSelector = ({ lists, activeListId, onSelect, onCreate, onRename, onDelete }) => {
+export const ListSelector = ({
+  lists,
+  activeListId,
+  currentUserId,
+  onSelect,
+  onCreate,
+  onRename,
+  onUpdateBudget,
+  onDelete,
+  onCreateInvite,
+  onJoin,
+  onRemoveMember,
+}) => {
   const [newName, setNewName] = useState('');
   const [isCreating, setIsCreating] = useState(false);
+  const [isJoining, setIsJoining] = useState(false);
+  const [joinCode, setJoinCode] = useState('');
+  const [joinError, setJoinError] = useState(null);
   const [confirmingDeleteId, setConfirmingDeleteId] = useState(null);
   const [editingId, setEditingId] = useState(null);
   const [editName, setEditName] = useState('');
+  const [editBudget, setEditBudget] = useState('');
+  // Set once Enter or Escape ends an edit, so the blur from closing the editor doesn't save again
+  const isEditDoneRef = useRef(false);
+  const [membersOpenId, setMembersOpenId] = useState(null);
 
   const handleCreate = (e) => {
     e.preventDefault();
@@ -23,38 +143,105 @@ export const ListSelector = ({ lists, activeListId, onSelect, onCreate, onRename
     setIsCreating(false);
   };
 
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    const trimmed = joinCode.trim();
+    if (!trimmed) return;
+    setJoinError(null);
+    try {
+      await onJoin(trimmed);
+      setJoinCode('');
+      setIsJoining(false);
+    } catch (err) {
+      setJoinError(err.message === 'Invite code not found'
+        ? 'That invite code was not found.'
+        : 'Could not join the list. Please try again.');
+    }
+  };
+
+  const toggleMembers = (listId) => {
+    setMembersOpenId((prev) => (prev === listId ? null : listId));
+  };
+
   const handleStartEdit = (list) => {
+    isEditDoneRef.current = false;
     setEditingId(list.id);
     setEditName(list.name);
+    setEditBudget(list.budget != null ? String(list.budget) : '');
   };
 
-  const handleSaveEdit = (id) => {
+  const handleSaveEdit = (list) => {
+    if (isEditDoneRef.current) return;
+    isEditDoneRef.current = true;
     const trimmed = editName.trim();
-    if (!trimmed) {
-      setEditingId(null);
-      return;
+    if (trimmed && trimmed !== list.name) {
+      onRename(list.id, trimmed);
+    }
+    const parsed = parseFloat(editBudget);
+    const budget = Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+    if (budget !== (list.budget ?? null)) {
+      onUpdateBudget(list.id, budget);
     }
-    onRename(id, trimmed);
     setEditingId(null);
   };
 
-  const handleEditKeyDown = (e, id) => {
-    if (e.key === 'Enter') handleSaveEdit(id);
-    if (e.key === 'Escape') setEditingId(null);
+  const handleEditKeyDown = (e, list) => {
+    if (e.key === 'Enter') handleSaveEdit(list);
+    if (e.key === 'Escape') {
+      isEditDoneRef.current = true;
+      setEditingId(null);
+    }
+  };
+
+  // Save when focus leaves the edit row, but not when moving between its fields
+  const handleEditBlur = (e, list) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) handleSaveEdit(list);
   };
 
   return (
     <div className={styles.container}>
       <div className={styles.header}>
         <h2 className={styles.title}>My Lists</h2>
-        <button
-          className={styles.newBtn}
-          onClick={() => setIsCreating(!isCreating)}
-        >
-          {isCreating ? 'Cancel' : '+ New'}
-        </button>
+        <div className={styles.headerActions}>
+          <button
+            className={styles.joinBtn}
+            onClick={() => {
+              setIsJoining(!isJoining);
+              setIsCreating(false);
+              setJoinError(null);
+            }}
+          >
+            {isJoining ? 'Cancel' : 'Join'}
+          </button>
+          <button
+            className={styles.newBtn}
+            onClick={() => {
+              setIsCreating(!isCreating);
+              setIsJoining(false);
+            }}
+          >
+            {isCreating ? 'Cancel' : '+ New'}
+          </button>
+        </div>
       </div>
 
+      {isJoining && (
+        <form className={styles.createForm} onSubmit={handleJoin}>
+          <input
+            className={styles.createInput}
+            type="text"
+            value={joinCode}
+            onChange={(e) => setJoinCode(e.target.value)}
+            placeholder="Invite code..."
+            autoFocus
+          />
+          {joinError && <p className={styles.joinError}>{joinError}</p>}
+          <button className={styles.createBtn} type="submit" disabled={!joinCode.trim()}>
+            Join List
+          </button>
+        </form>
+      )}
+
       {isCreating && (
         <form className={styles.createForm} onSubmit={handleCreate}>
           <input
@@ -75,62 +262,116 @@ export const ListSelector = ({ lists, activeListId, onSelect, onCreate, onRename
         {lists.length === 0 && (
           <p className={styles.emptyMsg}>No lists yet. Create one to get started.</p>
         )}
-        {lists.map((list) => (
-          <div
-            key={list.id}
-            className={`${styles.listItem} ${list.id === activeListId ? styles.active : ''}`}
-          >
-            {editingId === list.id ? (
-              <div className={styles.editRow}>
-                <input
-                  className={styles.editInput}
-                  type="text"
-                  value={editName}
-                  onChange={(e) => setEditName(e.target.value)}
-                  onKeyDown={(e) => handleEditKeyDown(e, list.id)}
-                  onBlur={() => handleSaveEdit(list.id)}
-                  autoFocus
-                />
-              </div>
-            ) : (
-              <>
-                <button
-                  className={styles.listBtn}
-                  onClick={() => onSelect(list.id)}
-                  onDoubleClick={() => handleStartEdit(list)}
-                >
-                  <span className={styles.listName}>{list.name}</span>
-                  <span className={styles.listCount}>{list.itemCount ?? 0} items</span>
-                </button>
-                <button
-                  className={styles.editBtn}
-                  onClick={() => handleStartEdit(list)}
-                  aria-label={`Rename ${list.name}`}
-                  title="Rename"
-                >
-                  ✎
-                </button>
-                <button
-                  className={styles.deleteBtn}
-                  onClick={() => setConfirmingDeleteId(list.id)}
-                  aria-label={`Delete ${list.name}`}
-                >
-                  x
-                </button>
-                {confirmingDeleteId === list.id && (
-                  <ConfirmDialog
-                    message={`Delete "${list.name}" and all its items?`}
-                    onConfirm={() => {
-                      onDelete(list.id);
-                      setConfirmingDeleteId(null);
-                    }}
-                    onCancel={() => setConfirmingDeleteId(null)}
-                  />
+        {lists.map((list) => {
+          const role = getListRole(list, currentUserId);
+          const isOwner = role === LIST_ROLES.OWNER;
+          return (
+            <div key={list.id} className={styles.listEntry}>
+              <div
+                className={`${styles.listItem} ${list.id === activeListId ? styles.active : ''}`}
+              >
+                {editingId === list.id ? (
+                  <div className={styles.editRow} onBlur={(e) => handleEditBlur(e, list)}>
+                    <input
+                      className={styles.editInput}
+                      type="text"
+                      value={editName}
+                      onChange={(e) => setEditName(e.target.value)}
+                      onKeyDown={(e) => handleEditKeyDown(e, list)}
+                      aria-label="List name"
+                      autoFocus
+                    />
+                    <label className={styles.budgetLabel}>
+                      Budget
+                      <input
+                        className={styles.budgetInput}
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={editBudget}
+                        onChange={(e) => setEditBudget(e.target.value)}
+                        onKeyDown={(e) => handleEditKeyDown(e, list)}
+                        placeholder="None"
+                      />
+                    </label>
+                  </div>
+                ) : (
+                  <>
+                    <button
+                      className={styles.listBtn}
+                      onClick={() => onSelect(list.id)}
+                      onDoubleClick={() => isOwner && handleStartEdit(list)}
+                    >
+                      <span className={styles.listName}>
+                        {list.name}
+                        {!isOwner && (
+                          <span className={styles.sharedBadge} title={`Shared by ${list.ownerName ?? 'another user'}`}>
+                            {role === LIST_ROLES.VIEWER ? 'View only' : 'Shared'}
+                          </span>
+                        )}
+                        {isOwner && isSharedList(list) && (
+                          <span className={styles.sharedBadge}>Shared</span>
+                        )}
+                      </span>
+                      <span className={styles.listCount}>{list.itemCount ?? 0} items</span>
+                    </button>
+                    <button
+                      className={styles.editBtn}
+                      onClick={() => toggleMembers(list.id)}
+                      aria-label={`Members of ${list.name}`}
+                      title={isOwner ? 'Share' : 'Members'}
+                    >
+                      👥
+                    </button>
+                    {isOwner && (
+                      <button
+                        className={styles.editBtn}
+                        onClick={() => handleStartEdit(list)}
+                        aria-label={`Edit ${list.name}`}
+                        title="Rename or set budget"
+                      >
+                        ✎
+                      </button>
+                    )}
+                    <button
+                      className={styles.deleteBtn}
+                      onClick={() => setConfirmingDeleteId(list.id)}
+                      aria-label={isOwner ? `Delete ${list.name}` : `Leave ${list.name}`}
+                      title={isOwner ? 'Delete' : 'Leave'}
+                    >
+                      x
+                    </button>
+                    {confirmingDeleteId === list.id && (
+                      <ConfirmDialog
+                        message={isOwner
+                          ? `Delete "${list.name}" and all its items?`
+                          : `Leave "${list.name}"? You will need a new invite code to rejoin.`}
+                        confirmLabel={isOwner ? 'Delete' : 'Leave'}
+                        onConfirm={() => {
+                          if (isOwner) {
+                            onDelete(list.id);
+                          } else {
+                            onRemoveMember(list.id, currentUserId);
+                          }
+                          setConfirmingDeleteId(null);
+                        }}
+                        onCancel={() => setConfirmingDeleteId(null)}
+                      />
+                    )}
+                  </>
                 )}
-              </>
-            )}
-          </div>
-        ))}
+              </div>
+              {membersOpenId === list.id && (
+                <ListMembers
+                  list={list}
+                  currentUserId={currentUserId}
+                  onCreateInvite={onCreateInvite}
+                  onRemoveMember={onRemoveMember}
+                />
+              )}
+            </div>
+          );
+        })}
       </div>
     </div>
   );
@@ -139,8 +380,13 @@ export const ListSelector = ({ lists, activeListId, onSelect, onCreate, onRename
 ListSelector.propTypes = {
   lists: PropTypes.array.isRequired,
   activeListId: PropTypes.string,
+  currentUserId: PropTypes.string,
   onSelect: PropTypes.func.isRequired,
   onCreate: PropTypes.func.isRequired,
   onRename: PropTypes.func.isRequired,
+  onUpdateBudget: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
+  onCreateInvite: PropTypes.func.isRequired,
+  onJoin: PropTypes.func.isRequired,
+  onRemoveMember: PropTypes.func.isRequired,
 };
@@ -0,0 +1,213 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { parseIngredient } from '../services/ingredientParser.js';
+import { daysUntil, getExpiringItems } from '../services/pantry.js';
+import { formatQuantity } from '../utils/units.js';
+import { formatDate, fromDateInputValue, toDateInputValue } from '../utils/dates.js';
+import styles from './PantryManager.module.css';
+
+/** Describes how far off an expiry date is: "Expired 2 days ago", "Expires today". */
+const describeExpiry = (daysLeft) => {
+  if (daysLeft < -1) return `Expired ${-daysLeft} days ago`;
+  if (daysLeft === -1) return 'Expired yesterday';
+  if (daysLeft === 0) return 'Expires today';
+  if (daysLeft === 1) return 'Expires tomorrow';
+  return `Expires in ${daysLeft} days`;
+};
+
+/**
+ * Collapsible panel for the pantry: what's already at home.
+ * Items are typed like recipe ingredients ("2 cups rice", "olive oil"); the
+ * amount is optional. Adding an item that's already there tops up its amount.
+ * Items bought on a trip arrive with their purchase date and, for perishables,
+ * an estimated expiry date that can be changed. Items expiring soon are listed
+ * first. "Running low" and "Used up" put an item back on a chosen list; used up
+ * items also leave the pantry.
+ * Recipe ingredients found here start unchecked when reviewing a recipe.
+ */
+export const PantryManager = ({ pantry, lists, activeListId, onAdd, onUpdate, onRemove, onRestock }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [newItem, setNewItem] = useState('');
+  const [targetListId, setTargetListId] = useState(activeListId);
+  const [restockNote, setRestockNote] = useState(null);
+
+  // Fall back to the active list if the chosen one is gone or no longer editable
+  const targetList = lists.find((l) => l.id === targetListId)
+    ?? lists.find((l) => l.id === activeListId)
+    ?? lists[0]
+    ?? null;
+
+  const now = new Date();
+  const expiring = getExpiringItems(pantry, now);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!newItem.trim()) return;
+    const { quantity, quantityMax, unit, name } = parseIngredient(newItem.trim());
+    onAdd([{ name, quantity: quantityMax ?? quantity, unit }]);
+    setNewItem('');
+  };
+
+  const handleRestock = (item, isUsedUp) => {
+    if (!targetList) return;
+    onRestock(targetList.id, item, isUsedUp);
+    setRestockNote(`Added ${item.name} to ${targetList.name}.`);
+  };
+
+  const renderRestockActions = (item) => targetList && (
+    <div className={styles.itemActions}>
+      {!item.isLow && (
+        <button type="button" className={styles.textBtn} onClick={() => handleRestock(item, false)}>
+          Running low
+        </button>
+      )}
+      <button type="button" className={styles.textBtn} onClick={() => handleRestock(item, true)}>
+        Used up
+      </button>
+    </div>
+  );
+
+  return (
+    <div className={styles.container}>
+      <button
+        className={styles.toggle}
+        onClick={() => setIsOpen(!isOpen)}
+        type="button"
+      >
+        <span className={styles.toggleIcon}>{isOpen ? '−' : '+'}</span>
+        Pantry
+      </button>
+
+      {isOpen && (
+        <div className={styles.panel}>
+          {targetList && pantry.length > 0 && (
+            <label className={styles.target}>
+              Restock to
+              <select
+                className={styles.listSelect}
+                value={targetList.id}
+                onChange={(e) => setTargetListId(e.target.value)}
+              >
+                {lists.map((list) => (
+                  <option key={list.id} value={list.id}>
+                    {list.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          {restockNote && <p className={styles.restockNote}>{restockNote}</p>}
+
+          {expiring.length > 0 && (
+            <div className={styles.section}>
+              <h4 className={styles.sectionTitle}>Expiring Soon ({expiring.length})</h4>
+              <ul className={styles.pantryList}>
+                {expiring.map(({ item, daysLeft }) => (
+                  <li key={item.id} className={`${styles.pantryItem} ${daysLeft < 0 ? styles.expired : ''}`}>
+                    <div className={styles.itemMain}>
+                      <span className={styles.itemName}>{item.name}</span>
+                      <span className={styles.itemMeta}>{describeExpiry(daysLeft)}</span>
+                    </div>
+                    {renderRestockActions(item)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className={styles.section}>
+            <h4 className={styles.sectionTitle}>At Home ({pantry.length})</h4>
+
+            {pantry.length === 0 && (
+              <p className={styles.emptyHint}>
+                Nothing here yet. Add staples like salt or olive oil so recipes don&apos;t put them on your list,
+                or move checked items here when you finish a trip.
+              </p>
+            )}
+
+            <ul className={styles.pantryList}>
+              {pantry.map((item) => {
+                const purchased = formatDate(item.purchasedAt);
+                const daysLeft = daysUntil(item.expiresAt, now);
+                return (
+                  <li key={item.id} className={styles.pantryItem}>
+                    <div className={styles.itemMain}>
+                      <span className={styles.itemName}>
+                        {item.name}
+                        {item.isLow && <span className={styles.lowBadge}>Low</span>}
+                      </span>
+                      <span className={styles.itemAmount}>
+                        {formatQuantity(item.quantity ?? null, item.unit ?? null) || 'In stock'}
+                      </span>
+                      <span className={styles.itemMeta}>
+                        {purchased && `Bought ${purchased} · `}
+                        <label className={daysLeft != null && daysLeft < 0 ? styles.expiredText : ''}>
+                          Expires
+                          <input
+                            type="date"
+                            className={styles.dateInput}
+                            value={toDateInputValue(item.expiresAt)}
+                            onChange={(e) => onUpdate(item.id, { expiresAt: fromDateInputValue(e.target.value) })}
+                          />
+                        </label>
+                      </span>
+                    </div>
+                    {renderRestockActions(item)}
+                    <button
+                      type="button"
+                      className={styles.removeBtn}
+                      onClick={() => onRemove(item.id)}
+                      aria-label={`Remove ${item.name} from pantry`}
+                      title="Remove"
+                    >
+                      ×
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+
+          <form className={styles.addForm} onSubmit={handleAdd}>
+            <input
+              type="text"
+              value={newItem}
+              onChange={(e) => setNewItem(e.target.value)}
+              className={styles.input}
+              placeholder="e.g. 2 cups rice, or olive oil"
+              aria-label="Pantry item"
+            />
+            <button type="submit" className={styles.addBtn} disabled={!newItem.trim()}>
+              Add
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+PantryManager.propTypes = {
+  pantry: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      quantity: PropTypes.number,
+      unit: PropTypes.string,
+      purchasedAt: PropTypes.object,
+      expiresAt: PropTypes.object,
+      isLow: PropTypes.bool,
+    })
+  ),
+  lists: PropTypes.array.isRequired,
+  activeListId: PropTypes.string,
+  onAdd: PropTypes.func.isRequired,
+  onUpdate: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  onRestock: PropTypes.func.isRequired,
+};
+
+PantryManager.defaultProps = {
+  pantry: [],
+  activeListId: null,
+};
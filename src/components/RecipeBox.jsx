@@ -0,0 +1,498 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  MIN_SERVINGS,
+  MAX_SERVINGS,
+  parseTags,
+  getRecipeTags,
+  scaleIngredients,
+  recipeToItems,
+  importRecipe,
+} from '../services/recipes.js';
+import { formatIngredientAmount, parseQuantityRange } from '../services/ingredientParser.js';
+import { UNITS } from '../utils/units.js';
+import { ConfirmDialog } from './ConfirmDialog.jsx';
+import styles from './RecipeBox.module.css';
+
+const EMPTY_ROW = { quantity: '', unit: '', name: '', preparation: '', optional: false };
+
+/** Editor rows start from the saved ingredients, with quantities (or ranges) as text. */
+const toRows = (ingredients) => ingredients.map((ingredient) => ({
+  quantity: formatIngredientAmount({ ...ingredient, unit: null }),
+  unit: ingredient.unit ?? '',
+  name: ingredient.name,
+  preparation: ingredient.preparation ?? '',
+  optional: Boolean(ingredient.optional),
+}));
+
+const isValidServings = (servings) => (
+  Number.isInteger(servings) && servings >= MIN_SERVINGS && servings <= MAX_SERVINGS
+);
+
+/**
+ * Form for creating or editing a recipe: name, description, tags, base
+ * servings and one row per ingredient (quantity or range, unit, name,
+ * preparation notes and whether it's optional).
+ * A recipe without an ID is a new one, e.g. prefilled from an import.
+ */
+const RecipeEditor = ({ recipe, onSave, onCancel }) => {
+  const [name, setName] = useState(recipe?.name ?? '');
+  const [description, setDescription] = useState(recipe?.description ?? '');
+  const [tagsText, setTagsText] = useState(recipe?.tags?.join(', ') ?? '');
+  const [servings, setServings] = useState(String(recipe?.servings ?? 4));
+  const [rows, setRows] = useState(recipe?.ingredients.length ? toRows(recipe.ingredients) : [EMPTY_ROW]);
+  const [error, setError] = useState(null);
+
+  const updateRow = (index, field, value) => {
+    setRows((prev) => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const baseServings = Number(servings);
+    const ingredients = rows
+      .filter((row) => row.name.trim())
+      .map((row) => ({
+        ...parseQuantityRange(row.quantity),
+        unit: row.unit || null,
+        name: row.name.trim(),
+        preparation: row.preparation.trim() || null,
+        optional: row.optional,
+      }));
+
+    if (!name.trim()) {
+      setError('Give the recipe a name.');
+      return;
+    }
+    if (!isValidServings(baseServings)) {
+      setError(`Servings must be a whole number from ${MIN_SERVINGS} to ${MAX_SERVINGS}.`);
+      return;
+    }
+    if (ingredients.length === 0) {
+      setError('Add at least one ingredient.');
+      return;
+    }
+    onSave({
+      name: name.trim(),
+      description: description.trim(),
+      tags: parseTags(tagsText),
+      servings: baseServings,
+      ingredients,
+    });
+  };
+
+  return (
+    <form className={styles.editor} onSubmit={handleSubmit}>
+      {recipe && !recipe.id && (
+        <p className={styles.notice}>
+          Imported {recipe.ingredients.length} ingredients. Check them before saving.
+        </p>
+      )}
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        className={styles.input}
+        placeholder="Recipe name"
+        aria-label="Recipe name"
+      />
+      <input
+        type="text"
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        className={styles.input}
+        placeholder="Short description (optional)"
+        aria-label="Description"
+      />
+      <div className={styles.editorRow}>
+        <label className={styles.servingsLabel}>
+          Serves
+          <input
+            type="number"
+            min={MIN_SERVINGS}
+            max={MAX_SERVINGS}
+            value={servings}
+            onChange={(e) => setServings(e.target.value)}
+            className={styles.servingsInput}
+          />
+        </label>
+        <input
+          type="text"
+          value={tagsText}
+          onChange={(e) => setTagsText(e.target.value)}
+          className={styles.input}
+          placeholder="Tags, comma separated (e.g. dinner, quick)"
+          aria-label="Tags"
+        />
+      </div>
+
+      <div className={styles.ingredientRows}>
+        {rows.map((row, index) => (
+          <div key={index} className={styles.ingredientRow}>
+            <input
+              type="text"
+              value={row.quantity}
+              onChange={(e) => updateRow(index, 'quantity', e.target.value)}
+              className={styles.quantityInput}
+              placeholder="Qty"
+              aria-label={`Ingredient ${index + 1} quantity`}
+            />
+            <select
+              value={row.unit}
+              onChange={(e) => updateRow(index, 'unit', e.target.value)}
+              className={styles.unitSelect}
+              aria-label={`Ingredient ${index + 1} unit`}
+            >
+              <option value="">—</option>
+              {Object.entries(UNITS).map(([key, def]) => (
+                <option key={key} value={key}>{def.label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={row.name}
+              onChange={(e) => updateRow(index, 'name', e.target.value)}
+              className={styles.input}
+              placeholder="Ingredient"
+              aria-label={`Ingredient ${index + 1} name`}
+            />
+            <input
+              type="text"
+              value={row.preparation}
+              onChange={(e) => updateRow(index, 'preparation', e.target.value)}
+              className={styles.notesInput}
+              placeholder="Notes"
+              aria-label={`Ingredient ${index + 1} notes`}
+            />
+            <label className={styles.optionalLabel} title="Optional ingredient">
+              <input
+                type="checkbox"
+                checked={row.optional}
+                onChange={(e) => updateRow(index, 'optional', e.target.checked)}
+              />
+              opt.
+            </label>
+            <button
+              type="button"
+              className={styles.removeBtn}
+              onClick={() => setRows((prev) => prev.filter((_, i) => i !== index))}
+              disabled={rows.length === 1}
+              aria-label={`Remove ingredient ${index + 1}`}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          className={styles.textBtn}
+          onClick={() => setRows((prev) => [...prev, EMPTY_ROW])}
+        >
+          + Add ingredient
+        </button>
+      </div>
+
+      {error && <p className={styles.error}>{error}</p>}
+
+      <div className={styles.actions}>
+        <button type="button" className={styles.secondaryBtn} onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className={styles.primaryBtn}>
+          {recipe?.id ? 'Save Recipe' : 'Add Recipe'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+RecipeEditor.propTypes = {
+  recipe: PropTypes.object,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+RecipeEditor.defaultProps = {
+  recipe: null,
+};
+
+/**
+ * Reads a recipe from a recipe page: pasted HTML, a saved .html file, or plain
+ * ingredient lines.
+ */
+const RecipeImport = ({ onImport, onCancel }) => {
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleImport = (content) => {
+    const recipe = importRecipe(content);
+    if (recipe.ingredients.length === 0) {
+      setError('No ingredients found. Try pasting the ingredient list itself.');
+      return;
+    }
+    onImport(recipe);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Let the same file be picked again
+    if (file) handleImport(await file.text());
+  };
+
+  return (
+    <div className={styles.editor}>
+      <textarea
+        className={styles.textarea}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder="Paste a recipe page's HTML (view source, select all, copy) or its ingredient list"
+        rows={8}
+      />
+      <label className={styles.textBtn}>
+        Or open a saved .html page
+        <input type="file" accept=".html,.htm,text/html" onChange={handleFile} hidden />
+      </label>
+
+      {error && <p className={styles.error}>{error}</p>}
+
+      <div className={styles.actions}>
+        <button type="button" className={styles.secondaryBtn} onClick={onCancel}>
+          Cancel
+        </button>
+        <button
+          type="button"
+          className={styles.primaryBtn}
+          onClick={() => handleImport(text)}
+          disabled={!text.trim()}
+        >
+          Read Recipe
+        </button>
+      </div>
+    </div>
+  );
+};
+
+RecipeImport.propTypes = {
+  onImport: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+/**
+ * The user's saved recipes. Recipes can be filtered by tag, created, edited
+ * and deleted, and added to the list scaled to a chosen number of servings.
+ * New recipes can also be imported from recipe web pages.
+ */
+export const RecipeBox = ({ recipes, onCreate, onUpdate, onDelete, onReview }) => {
+  const [editingId, setEditingId] = useState(null); // recipe ID, 'new', 'import' or null
+  const [draft, setDraft] = useState(null); // Imported recipe waiting for review
+  const [expandedId, setExpandedId] = useState(null);
+  const [servingsById, setServingsById] = useState({});
+  const [activeTag, setActiveTag] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+
+  const tags = getRecipeTags(recipes);
+  const visibleRecipes = activeTag
+    ? recipes.filter((recipe) => recipe.tags?.includes(activeTag))
+    : recipes;
+
+  const getServings = (recipe) => servingsById[recipe.id] ?? recipe.servings;
+
+  const setServings = (recipe, servings) => {
+    if (!isValidServings(servings)) return;
+    setServingsById((prev) => ({ ...prev, [recipe.id]: servings }));
+  };
+
+  const handleSave = (recipe) => {
+    if (editingId === 'new') {
+      onCreate(recipe);
+    } else {
+      onUpdate(editingId, recipe);
+      // The base may have changed, so start again from it
+      setServingsById((prev) => {
+        const next = { ...prev };
+        delete next[editingId];
+        return next;
+      });
+    }
+    setEditingId(null);
+    setDraft(null);
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setDraft(null);
+  };
+
+  const handleImport = (recipe) => {
+    setDraft({ ...recipe, tags: [] });
+    setEditingId('new');
+  };
+
+  const handleReview = (recipe) => {
+    const servings = getServings(recipe);
+    const source = servings === recipe.servings ? recipe.name : `${recipe.name} (serves ${servings})`;
+    onReview(recipeToItems(recipe, servings).map((item) => ({ ...item, source })));
+  };
+
+  if (editingId === 'import') {
+    return <RecipeImport onImport={handleImport} onCancel={handleCancelEdit} />;
+  }
+
+  if (editingId) {
+    return (
+      <RecipeEditor
+        recipe={recipes.find((recipe) => recipe.id === editingId) ?? draft}
+        onSave={handleSave}
+        onCancel={handleCancelEdit}
+      />
+    );
+  }
+
+  return (
+    <div className={styles.box}>
+      <div className={styles.toolbar}>
+        {tags.length > 0 && (
+          <div className={styles.tags}>
+            <button
+              type="button"
+              className={`${styles.tag} ${activeTag === null ? styles.activeTag : ''}`}
+              onClick={() => setActiveTag(null)}
+            >
+              All
+            </button>
+            {tags.map((tag) => (
+              <button
+                key={tag}
+                type="button"
+                className={`${styles.tag} ${activeTag === tag ? styles.activeTag : ''}`}
+                onClick={() => setActiveTag(activeTag === tag ? null : tag)}
+                aria-pressed={activeTag === tag}
+              >
+                {tag}
+              </button>
+            ))}
+          </div>
+        )}
+        <div className={styles.toolbarActions}>
+          <button type="button" className={styles.secondaryBtn} onClick={() => setEditingId('import')}>
+            Import
+          </button>
+          <button type="button" className={styles.primaryBtn} onClick={() => setEditingId('new')}>
+            New Recipe
+          </button>
+        </div>
+      </div>
+
+      {recipes.length === 0 && (
+        <p className={styles.emptyHint}>
+          No saved recipes yet. Save the ones you cook often to add them to a list in one go.
+        </p>
+      )}
+
+      <ul className={styles.recipeList}>
+        {visibleRecipes.map((recipe) => {
+          const servings = getServings(recipe);
+          const isExpanded = expandedId === recipe.id;
+          return (
+            <li key={recipe.id} className={styles.recipe}>
+              <button
+                type="button"
+                className={styles.recipeHeader}
+                onClick={() => setExpandedId(isExpanded ? null : recipe.id)}
+                aria-expanded={isExpanded}
+              >
+                <span className={styles.recipeName}>{recipe.name}</span>
+                {recipe.description && <span className={styles.recipeDesc}>{recipe.description}</span>}
+                <span className={styles.recipeMeta}>
+                  {recipe.ingredients.length} ingredients · serves {recipe.servings}
+                  {recipe.tags?.length > 0 && ` · ${recipe.tags.join(', ')}`}
+                </span>
+              </button>
+
+              {isExpanded && (
+                <ul className={styles.ingredientList}>
+                  {scaleIngredients(recipe.ingredients, recipe.servings, servings).map((ingredient, index) => (
+                    <li key={`${ingredient.name}-${index}`}>
+                      {formatIngredientAmount(ingredient)} {ingredient.name}
+                      {ingredient.preparation && `, ${ingredient.preparation}`}
+                      {ingredient.optional && ' (optional)'}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className={styles.recipeActions}>
+                <div className={styles.servingsStepper}>
+                  <button
+                    type="button"
+                    onClick={() => setServings(recipe, servings - 1)}
+                    disabled={servings <= MIN_SERVINGS}
+                    aria-label={`Fewer servings of ${recipe.name}`}
+                  >
+                    −
+                  </button>
+                  <span>{servings} serving{servings === 1 ? '' : 's'}</span>
+                  <button
+                    type="button"
+                    onClick={() => setServings(recipe, servings + 1)}
+                    disabled={servings >= MAX_SERVINGS}
+                    aria-label={`More servings of ${recipe.name}`}
+                  >
+                    +
+                  </button>
+                </div>
+                <button type="button" className={styles.textBtn} onClick={() => setEditingId(recipe.id)}>
+                  Edit
+                </button>
+                <button type="button" className={styles.textBtn} onClick={() => setConfirmDelete(recipe)}>
+                  Delete
+                </button>
+                <button type="button" className={styles.primaryBtn} onClick={() => handleReview(recipe)}>
+                  Review
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {confirmDelete && (
+        <ConfirmDialog
+          message={`Delete the recipe "${confirmDelete.name}"?`}
+          confirmLabel="Delete"
+          onConfirm={() => {
+            onDelete(confirmDelete.id);
+            setConfirmDelete(null);
+          }}
+          onCancel={() => setConfirmDelete(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+RecipeBox.propTypes = {
+  recipes: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      description: PropTypes.string,
+      tags: PropTypes.arrayOf(PropTypes.string),
+      servings: PropTypes.number.isRequired,
+      ingredients: PropTypes.arrayOf(
+        PropTypes.shape({
+          name: PropTypes.string.isRequired,
+          quantity: PropTypes.number,
+          quantityMax: PropTypes.number,
+          unit: PropTypes.string,
+          preparation: PropTypes.string,
+          optional: PropTypes.bool,
+        })
+      ).isRequired,
+    })
+  ).isRequired,
+  onCreate: PropTypes.func.isRequired,
+  onUpdate: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onReview: PropTypes.func.isRequired,
+};
@@ -1,28 +1,197 @@
 import { useState } from 'react';
 import PropTypes from 'prop-types';
-import { RECIPE_TEMPLATES, parseRecipeText, recipeTemplateToItems } from '../services/recipes.js';
+import {
+  RECIPE_TEMPLATES,
+  parseRecipeText,
+  recipeTemplateToItems,
+  isHtml,
+  extractRecipeFromHtml,
+} from '../services/recipes.js';
+import { aggregateItems } from '../services/aggregation.js';
+import { formatQuantity } from '../utils/units.js';
+import { RecipeBox } from './RecipeBox.jsx';
 import styles from './RecipePanel.module.css';
 
+/**
+ * Key for an added row. The plan is rebuilt whenever the list or pantry
+ * changes, so rows are keyed by what they are rather than where they sit;
+ * aggregation leaves at most one added row per name and unit.
+ */
+const addedRowKey = (item) => `add-${item.name.trim().toLowerCase()}-${item.unit ?? ''}`;
+
+/** Whether a preview row will be applied; items already in the pantry start unchecked. */
+const isRowIncluded = (selection, key, item) => selection[key] ?? !item.pantry?.isStocked;
+
+/** Describes what the pantry holds of an item: "In pantry", "1 cup in pantry". */
+const describePantry = ({ isStocked, have }) => {
+  const amount = formatQuantity(have.quantity, have.unit);
+  if (!isStocked) return `${amount} in pantry`;
+  return amount ? `In pantry (${amount})` : 'In pantry';
+};
+
+/**
+ * Review step shown before recipe items are committed. Lists which items will
+ * be added, which existing items will have their quantity increased, and which
+ * are skipped because they're already on the list.
+ * Each added or merged item can be unchecked to leave it off the list; items
+ * already stocked in the pantry start unchecked.
+ */
+const AggregationPreview = ({ plan, selection, onToggle, onBack, onConfirm }) => {
+  const describeSources = (item) =>
+    item.sources.length > 1 ? ` (from ${item.sources.join(' + ')})` : '';
+
+  const renderRow = (key, name, item, detail) => {
+    const isIncluded = isRowIncluded(selection, key, item);
+    return (
+      <label
+        key={key}
+        className={`${styles.previewRow} ${styles.selectableRow} ${isIncluded ? '' : styles.excludedRow}`}
+      >
+        <input
+          type="checkbox"
+          checked={isIncluded}
+          onChange={(e) => onToggle(key, e.target.checked)}
+        />
+        <span className={styles.previewName}>{name}</span>
+        <span className={styles.previewDetail}>
+          {detail}
+          {item.pantry && (
+            <span className={styles.pantryNote}>{describePantry(item.pantry)}</span>
+          )}
+        </span>
+      </label>
+    );
+  };
+
+  const includedCount = plan.added.filter((item) => isRowIncluded(selection, addedRowKey(item), item)).length
+    + plan.merged.filter((m) => isRowIncluded(selection, `merge-${m.existing.id}`, m.incoming)).length;
+
+  return (
+    <div className={styles.preview}>
+      {plan.added.length > 0 && (
+        <div className={styles.previewSection}>
+          <h4 className={styles.previewTitle}>Add ({plan.added.length})</h4>
+          {plan.added.map((item) => renderRow(
+            addedRowKey(item),
+            item.name,
+            item,
+            `${formatQuantity(item.quantity, item.unit)}${describeSources(item)}`
+          ))}
+        </div>
+      )}
+      {plan.merged.length > 0 && (
+        <div className={styles.previewSection}>
+          <h4 className={styles.previewTitle}>Merge with list ({plan.merged.length})</h4>
+          {plan.merged.map(({ existing, incoming, quantity, unit }) => renderRow(
+            `merge-${existing.id}`,
+            existing.name,
+            incoming,
+            `${formatQuantity(existing.quantity ?? null, existing.unit ?? null) || 'no amount'} → ${formatQuantity(quantity, unit)}`
+          ))}
+        </div>
+      )}
+      {plan.skipped.length > 0 && (
+        <div className={styles.previewSection}>
+          <h4 className={styles.previewTitle}>Skip ({plan.skipped.length})</h4>
+          {plan.skipped.map(({ existing }) => (
+            <div key={existing.id} className={styles.previewRow}>
+              <span className={styles.previewName}>{existing.name}</span>
+              <span className={styles.previewDetail}>Already on your list</span>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className={styles.previewActions}>
+        <button className={styles.backBtn} onClick={onBack}>
+          Back
+        </button>
+        <button
+          className={styles.parseBtn}
+          onClick={onConfirm}
+          disabled={includedCount === 0}
+        >
+          Add to List
+        </button>
+      </div>
+    </div>
+  );
+};
+
 /**
  * Panel for converting recipes into shopping list items.
- * Supports both preset recipe templates and custom recipe text input.
+ * Supports preset recipe templates, the user's saved recipe box and custom
+ * recipe text input.
+ * Several templates can be selected at once; their ingredients are aggregated
+ * with each other and with the current list, and previewed before committing.
+ * Ingredients are checked against the pantry so what's already at home can be
+ * left off.
  */
-export const RecipePanel = ({ onAddItems }) => {
+export const RecipePanel = ({
+  items,
+  recipes,
+  pantry,
+  onAddItems,
+  onMergeItems,
+  onCreateRecipe,
+  onUpdateRecipe,
+  onDeleteRecipe,
+}) => {
   const [isOpen, setIsOpen] = useState(false);
   const [activeTab, setActiveTab] = useState('templates');
   const [recipeText, setRecipeText] = useState('');
+  const [selectedTemplateIds, setSelectedTemplateIds] = useState([]);
+  const [pendingItems, setPendingItems] = useState(null);
+  const [selection, setSelection] = useState({});
 
-  const handleTemplateClick = (template) => {
-    const items = recipeTemplateToItems(template);
-    onAddItems(items);
+  const reviewItems = (incoming) => {
+    setSelection({});
+    setPendingItems(incoming);
+  };
+
+  const toggleTemplate = (templateId) => {
+    setSelectedTemplateIds((prev) => (
+      prev.includes(templateId)
+        ? prev.filter((id) => id !== templateId)
+        : [...prev, templateId]
+    ));
+  };
+
+  const handleReviewTemplates = () => {
+    const selected = RECIPE_TEMPLATES.filter((t) => selectedTemplateIds.includes(t.id));
+    const incoming = selected.flatMap((template) =>
+      recipeTemplateToItems(template).map((item) => ({ ...item, source: template.name }))
+    );
+    if (incoming.length > 0) {
+      reviewItems(incoming);
+    }
   };
 
   const handleParseRecipe = () => {
-    const items = parseRecipeText(recipeText);
-    if (items.length > 0) {
-      onAddItems(items);
-      setRecipeText('');
+    // Pasted page HTML is read for its recipe data first
+    const recipe = isHtml(recipeText) ? extractRecipeFromHtml(recipeText) : null;
+    const parsed = parseRecipeText(recipe ? recipe.ingredientLines.join('\n') : recipeText);
+    if (parsed.length > 0) {
+      reviewItems(parsed.map((item) => ({ ...item, source: recipe?.name || 'Pasted recipe' })));
+    }
+  };
+
+  const plan = pendingItems ? aggregateItems(pendingItems, items, pantry) : null;
+
+  const handleConfirm = () => {
+    const added = plan.added.filter((item) => isRowIncluded(selection, addedRowKey(item), item));
+    const merged = plan.merged.filter((m) => isRowIncluded(selection, `merge-${m.existing.id}`, m.incoming));
+    if (added.length > 0) {
+      onAddItems(added);
     }
+    if (merged.length > 0) {
+      onMergeItems(merged.map(({ existing, quantity, unit }) => ({
+        id: existing.id,
+        updates: { quantity, unit },
+      })));
+    }
+    setPendingItems(null);
+    setSelectedTemplateIds([]);
+    setRecipeText('');
   };
 
   if (!isOpen) {
@@ -42,46 +211,89 @@ export const RecipePanel = ({ onAddItems }) => {
         </button>
       </div>
 
-      <div className={styles.tabs}>
-        <button
-          className={`${styles.tab} ${activeTab === 'templates' ? styles.activeTab : ''}`}
-          onClick={() => setActiveTab('templates')}
-        >
-          Quick Recipes
-        </button>
-        <button
-          className={`${styles.tab} ${activeTab === 'custom' ? styles.activeTab : ''}`}
-          onClick={() => setActiveTab('custom')}
-        >
-          Paste Recipe
-        </button>
-      </div>
+      {plan && (
+        <AggregationPreview
+          plan={plan}
+          selection={selection}
+          onToggle={(key, isIncluded) => setSelection({ ...selection, [key]: isIncluded })}
+          onBack={() => setPendingItems(null)}
+          onConfirm={handleConfirm}
+        />
+      )}
 
-      {activeTab === 'templates' && (
-        <div className={styles.templates}>
-          {RECIPE_TEMPLATES.map((template) => (
-            <button
-              key={template.id}
-              className={styles.templateCard}
-              onClick={() => handleTemplateClick(template)}
-            >
-              <span className={styles.templateName}>{template.name}</span>
-              <span className={styles.templateDesc}>{template.description}</span>
-              <span className={styles.templateCount}>
-                {template.ingredients.length} items
-              </span>
-            </button>
-          ))}
+      {!plan && (
+        <div className={styles.tabs}>
+          <button
+            className={`${styles.tab} ${activeTab === 'templates' ? styles.activeTab : ''}`}
+            onClick={() => setActiveTab('templates')}
+          >
+            Quick Recipes
+          </button>
+          <button
+            className={`${styles.tab} ${activeTab === 'saved' ? styles.activeTab : ''}`}
+            onClick={() => setActiveTab('saved')}
+          >
+            My Recipes
+          </button>
+          <button
+            className={`${styles.tab} ${activeTab === 'custom' ? styles.activeTab : ''}`}
+            onClick={() => setActiveTab('custom')}
+          >
+            Paste Recipe
+          </button>
         </div>
       )}
 
-      {activeTab === 'custom' && (
+      {!plan && activeTab === 'templates' && (
+        <div className={styles.custom}>
+          <div className={styles.templates}>
+            {RECIPE_TEMPLATES.map((template) => (
+              <button
+                key={template.id}
+                className={`${styles.templateCard} ${selectedTemplateIds.includes(template.id) ? styles.selectedCard : ''}`}
+                onClick={() => toggleTemplate(template.id)}
+                aria-pressed={selectedTemplateIds.includes(template.id)}
+              >
+                <span className={styles.templateName}>{template.name}</span>
+                <span className={styles.templateDesc}>{template.description}</span>
+                <span className={styles.templateCount}>
+                  {template.ingredients.length} items
+                </span>
+              </button>
+            ))}
+          </div>
+          <button
+            className={styles.parseBtn}
+            onClick={handleReviewTemplates}
+            disabled={selectedTemplateIds.length === 0}
+          >
+            {selectedTemplateIds.length > 1
+              ? `Review ${selectedTemplateIds.length} Recipes`
+              : 'Review Recipe'}
+          </button>
+        </div>
+      )}
+
+      {/* Kept mounted behind the preview so servings and filters survive "Back" */}
+      {activeTab === 'saved' && (
+        <div hidden={Boolean(plan)}>
+          <RecipeBox
+            recipes={recipes}
+            onCreate={onCreateRecipe}
+            onUpdate={onUpdateRecipe}
+            onDelete={onDeleteRecipe}
+            onReview={reviewItems}
+          />
+        </div>
+      )}
+
+      {!plan && activeTab === 'custom' && (
         <div className={styles.custom}>
           <textarea
             className={styles.textarea}
             value={recipeText}
             onChange={(e) => setRecipeText(e.target.value)}
-            placeholder={`Paste your recipe ingredients here, one per line:\n\n2 cups flour\n3 eggs\n1 cup milk\n1/2 cup sugar\n1 tsp vanilla extract`}
+            placeholder={`Paste your recipe ingredients here, one per line, or a recipe page's HTML:\n\n2 cups flour\n3 eggs\n1 cup milk\n1/2 cup sugar\n1 tsp vanilla extract`}
             rows={8}
           />
           <button
@@ -89,7 +301,7 @@ export const RecipePanel = ({ onAddItems }) => {
             onClick={handleParseRecipe}
             disabled={!recipeText.trim()}
           >
-            Add to List
+            Review Ingredients
           </button>
         </div>
       )}
@@ -98,5 +310,18 @@ export const RecipePanel = ({ onAddItems }) => {
 };
 
 RecipePanel.propTypes = {
+  items: PropTypes.array,
+  recipes: PropTypes.array,
+  pantry: PropTypes.array,
   onAddItems: PropTypes.func.isRequired,
+  onMergeItems: PropTypes.func.isRequired,
+  onCreateRecipe: PropTypes.func.isRequired,
+  onUpdateRecipe: PropTypes.func.isRequired,
+  onDeleteRecipe: PropTypes.func.isRequired,
+};
+
+RecipePanel.defaultProps = {
+  items: [],
+  recipes: [],
+  pantry: [],
 };
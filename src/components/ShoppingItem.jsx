@@ -1,14 +1,36 @@
 import { useState, useRef, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { getAllCategoryLabels, getAllCategoryColors, getAllCategoryKeys } from '../utils/categories.js';
+import {
+  getAllCategoryLabels,
+  getAllCategoryColors,
+  getAllCategoryKeys,
+  getDisplayCategory,
+  LOW_CONFIDENCE,
+} from '../utils/categories.js';
+import { UNITS, parseQuantity, formatQuantity } from '../utils/units.js';
+import { PRIORITY_LABELS, PRIORITY_COLORS } from '../utils/priority.js';
+import { formatPrice } from '../services/prices.js';
 import styles from './ShoppingItem.module.css';
 
 /**
- * A single shopping list item row with checkbox, name, clickable category badge,
- * clickable store badge, clickable aisle badge, and delete button.
- * Clicking any badge opens a dropdown to reassign.
+ * A single shopping list item row with checkbox, name, clickable quantity badge,
+ * clickable price badge (estimated cost until bought), clickable category badge, clickable store badge,
+ * clickable aisle badge, and delete button.
+ * Clicking any badge opens a dropdown to reassign. Checking an item off opens
+ * the price editor so the price paid can be recorded. The last price paid and
+ * the cheapest known store are shown under the name. In read-only mode the
+ * checkbox and badges are disabled and the delete button is hidden.
  */
-export const ShoppingItem = ({ item, customCategories, stores, onToggle, onRemove, onUpdateCategory, onUpdateStore, onUpdateAisle }) => {
+export const ShoppingItem = ({ item, customCategories, categorySettings, stores, priceInfo, readOnly, onToggle, onRemove, onUpdateCategory, onUpdateStore, onUpdateAisle, onUpdateQuantity, onUpdatePrice, onUpdateEstimatedCost }) => {
+  const [isQuantityEditorOpen, setIsQuantityEditorOpen] = useState(false);
+  const [editQuantity, setEditQuantity] = useState('');
+  const [editUnit, setEditUnit] = useState('');
+  const quantityEditorRef = useRef(null);
+  const [isPriceEditorOpen, setIsPriceEditorOpen] = useState(false);
+  const [editPrice, setEditPrice] = useState('');
+  const [editPricePerUnit, setEditPricePerUnit] = useState(false);
+  const [isEditingEstimate, setIsEditingEstimate] = useState(false);
+  const priceEditorRef = useRef(null);
   const [isCategoryPickerOpen, setIsCategoryPickerOpen] = useState(false);
   const [isStorePickerOpen, setIsStorePickerOpen] = useState(false);
   const [isAislePickerOpen, setIsAislePickerOpen] = useState(false);
@@ -16,9 +38,11 @@ export const ShoppingItem = ({ item, customCategories, stores, onToggle, onRemov
   const storePickerRef = useRef(null);
   const aislePickerRef = useRef(null);
 
-  const allLabels = getAllCategoryLabels(customCategories);
-  const allColors = getAllCategoryColors(customCategories);
-  const allKeys = getAllCategoryKeys(customCategories);
+  const allLabels = getAllCategoryLabels(customCategories, categorySettings);
+  const allColors = getAllCategoryColors(customCategories, categorySettings);
+  const allKeys = getAllCategoryKeys(customCategories, categorySettings);
+  // Items in a hidden category are shown as "Other"
+  const displayCategory = getDisplayCategory(item.category, allKeys);
 
   const storeMap = {};
   for (const s of stores) {
@@ -27,6 +51,30 @@ export const ShoppingItem = ({ item, customCategories, stores, onToggle, onRemov
   const assignedStore = item.store ? storeMap[item.store] : null;
   const storeAisles = assignedStore?.aisles ?? [];
 
+  // Close quantity editor on outside click
+  useEffect(() => {
+    if (!isQuantityEditorOpen) return;
+    const handleClick = (e) => {
+      if (quantityEditorRef.current && !quantityEditorRef.current.contains(e.target)) {
+        setIsQuantityEditorOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isQuantityEditorOpen]);
+
+  // Close price editor on outside click
+  useEffect(() => {
+    if (!isPriceEditorOpen) return;
+    const handleClick = (e) => {
+      if (priceEditorRef.current && !priceEditorRef.current.contains(e.target)) {
+        setIsPriceEditorOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isPriceEditorOpen]);
+
   // Close category picker on outside click
   useEffect(() => {
     if (!isCategoryPickerOpen) return;
@@ -63,8 +111,87 @@ export const ShoppingItem = ({ item, customCategories, stores, onToggle, onRemov
     return () => document.removeEventListener('mousedown', handleClick);
   }, [isAislePickerOpen]);
 
+  const handleOpenQuantityEditor = () => {
+    setEditQuantity(item.quantity != null ? String(item.quantity) : '');
+    setEditUnit(item.unit ?? '');
+    setIsQuantityEditorOpen(!isQuantityEditorOpen);
+  };
+
+  const handleSaveQuantity = (e) => {
+    e.preventDefault();
+    const quantity = parseQuantity(editQuantity);
+    const unit = editUnit || null;
+    if (quantity !== (item.quantity ?? null) || unit !== (item.unit ?? null)) {
+      onUpdateQuantity(item.id, quantity, unit);
+    }
+    setIsQuantityEditorOpen(false);
+  };
+
+  const quantityLabel = formatQuantity(item.quantity ?? null, item.unit ?? null);
+
+  const unitLabel = item.unit ? UNITS[item.unit]?.label ?? item.unit : 'each';
+  const canPricePerUnit = Boolean(item.unit) || (item.quantity ?? 1) > 1;
+  const priceLabel = item.price != null
+    ? `${formatPrice(item.price)}${item.pricePerUnit ? `/${unitLabel}` : ''}`
+    : '';
+
+  const estimateLabel = item.estimatedCost != null ? `~${formatPrice(item.estimatedCost)}` : '';
+  const badgeLabel = priceLabel || (item.isChecked ? '' : estimateLabel);
+
+  /**
+   * Opens the price editor, either for the price actually paid or, before
+   * the item is bought, for its estimated cost.
+   */
+  const handleOpenPriceEditor = (isEstimate) => {
+    setIsEditingEstimate(isEstimate);
+    const last = priceInfo?.lastPrice ?? null;
+    if (isEstimate) {
+      setEditPrice(item.estimatedCost != null ? String(item.estimatedCost) : '');
+      setEditPricePerUnit(false);
+    } else if (item.price != null) {
+      setEditPrice(String(item.price));
+      setEditPricePerUnit(Boolean(item.pricePerUnit));
+    } else {
+      // Prefill from the last price paid, per unit when the units line up
+      const isSameUnit = Boolean(last?.unit) && last.unit === item.unit;
+      const suggested = last ? (isSameUnit ? last.unitPrice : last.total ?? last.unitPrice) : item.estimatedCost;
+      setEditPrice(suggested != null ? String(Math.round(suggested * 100) / 100) : '');
+      setEditPricePerUnit(isSameUnit);
+    }
+    setIsPriceEditorOpen(true);
+  };
+
+  const handleSavePrice = (e) => {
+    e.preventDefault();
+    const parsed = parseFloat(editPrice);
+    const price = Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+    if (isEditingEstimate) {
+      if (price !== (item.estimatedCost ?? null)) onUpdateEstimatedCost(item.id, price);
+    } else {
+      const pricePerUnit = price != null && canPricePerUnit && editPricePerUnit;
+      if (price !== (item.price ?? null) || pricePerUnit !== Boolean(item.pricePerUnit)) {
+        onUpdatePrice(item.id, price, pricePerUnit);
+      }
+    }
+    setIsPriceEditorOpen(false);
+  };
+
+  const handleToggle = () => {
+    onToggle();
+    // Ask for the price as the item goes into the cart
+    if (!item.isChecked && !readOnly) handleOpenPriceEditor(false);
+  };
+
+  const cheapest = priceInfo?.cheapest ?? null;
+  const lastPrice = priceInfo?.lastPrice ?? null;
+  const cheapestUnit = cheapest?.unit ? `/${UNITS[cheapest.unit]?.label ?? cheapest.unit}` : '';
+
+  // Items added before confidence was tracked have none and count as certain
+  const isCategoryGuess = item.categoryConfidence != null && item.categoryConfidence < LOW_CONFIDENCE;
+
   const handleSelectCategory = (key) => {
-    if (key !== item.category) {
+    // Picking the guessed category again confirms it
+    if (key !== item.category || isCategoryGuess) {
       onUpdateCategory(item.id, key);
     }
     setIsCategoryPickerOpen(false);
@@ -94,12 +221,125 @@ export const ShoppingItem = ({ item, customCategories, stores, onToggle, onRemov
         <input
           type="checkbox"
           checked={item.isChecked}
-          onChange={onToggle}
+          onChange={handleToggle}
+          disabled={readOnly}
           className={styles.checkbox}
         />
-        <span className={styles.name}>{item.name}</span>
+        <span className={styles.nameBlock}>
+          <span className={styles.name}>{item.name}</span>
+          {item.notes && <span className={styles.notes}>{item.notes}</span>}
+          {(lastPrice || cheapest) && (
+            <span className={styles.priceHint}>
+              {lastPrice && `Last paid ${formatPrice(lastPrice.total ?? lastPrice.unitPrice)}`}
+              {lastPrice?.storeName && ` at ${lastPrice.storeName}`}
+              {lastPrice && cheapest && ' · '}
+              {cheapest && `Cheapest at ${cheapest.storeName} (${formatPrice(cheapest.unitPrice)}${cheapestUnit})`}
+            </span>
+          )}
+        </span>
+        {item.priority && PRIORITY_LABELS[item.priority] && (
+          <span
+            className={styles.priorityBadge}
+            style={{ color: PRIORITY_COLORS[item.priority], borderColor: PRIORITY_COLORS[item.priority] }}
+          >
+            {PRIORITY_LABELS[item.priority]}
+          </span>
+        )}
       </label>
       <div className={styles.badges}>
+        {(quantityLabel || !readOnly) && (
+          <div className={styles.quantityWrapper} ref={quantityEditorRef}>
+            <button
+              type="button"
+              className={`${styles.quantityBadge} ${quantityLabel ? '' : styles.quantityEmpty}`}
+              onClick={handleOpenQuantityEditor}
+              title="Change quantity"
+              disabled={readOnly}
+            >
+              {quantityLabel || '+ qty'}
+            </button>
+            {isQuantityEditorOpen && (
+              <form className={`${styles.picker} ${styles.quantityEditor}`} onSubmit={handleSaveQuantity}>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={editQuantity}
+                  onChange={(e) => setEditQuantity(e.target.value)}
+                  className={styles.quantityInput}
+                  aria-label="Quantity"
+                  autoFocus
+                />
+                <select
+                  value={editUnit}
+                  onChange={(e) => setEditUnit(e.target.value)}
+                  className={styles.unitSelect}
+                  aria-label="Unit"
+                >
+                  <option value="">No unit</option>
+                  {Object.entries(UNITS).map(([key, def]) => (
+                    <option key={key} value={key}>
+                      {def.label}
+                    </option>
+                  ))}
+                </select>
+                <button type="submit" className={styles.quantitySaveBtn}>
+                  Save
+                </button>
+              </form>
+            )}
+          </div>
+        )}
+        {(badgeLabel || !readOnly || isPriceEditorOpen) && (
+          <div className={styles.priceWrapper} ref={priceEditorRef}>
+            <button
+              type="button"
+              className={`${styles.priceBadge} ${badgeLabel ? '' : styles.quantityEmpty}`}
+              onClick={() => (isPriceEditorOpen
+                ? setIsPriceEditorOpen(false)
+                : handleOpenPriceEditor(!item.isChecked && item.price == null))}
+              title={item.isChecked || item.price != null ? 'Price paid' : 'Estimated cost'}
+              disabled={readOnly}
+            >
+              {badgeLabel || (item.isChecked ? '+ price' : '+ est.')}
+            </button>
+            {isPriceEditorOpen && (
+              <form className={`${styles.picker} ${styles.quantityEditor}`} onSubmit={handleSavePrice}>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={editPrice}
+                  onChange={(e) => setEditPrice(e.target.value)}
+                  className={styles.quantityInput}
+                  placeholder={isEditingEstimate ? 'Estimate' : 'Price'}
+                  aria-label={isEditingEstimate ? 'Estimated cost' : 'Price paid'}
+                  autoFocus
+                />
+                {canPricePerUnit && !isEditingEstimate && (
+                  <label className={styles.perUnitLabel}>
+                    <input
+                      type="checkbox"
+                      checked={editPricePerUnit}
+                      onChange={(e) => setEditPricePerUnit(e.target.checked)}
+                    />
+                    per {unitLabel}
+                  </label>
+                )}
+                <button type="submit" className={styles.quantitySaveBtn}>
+                  Save
+                </button>
+                <button
+                  type="button"
+                  className={styles.skipBtn}
+                  onClick={() => setIsPriceEditorOpen(false)}
+                >
+                  {isEditingEstimate ? 'Cancel' : 'Skip'}
+                </button>
+              </form>
+            )}
+          </div>
+        )}
         {stores.length > 0 && (
           <div className={styles.storeWrapper} ref={storePickerRef}>
             <button
@@ -108,6 +348,7 @@ export const ShoppingItem = ({ item, customCategories, stores, onToggle, onRemov
               style={assignedStore ? { backgroundColor: assignedStore.color } : undefined}
               onClick={() => setIsStorePickerOpen(!isStorePickerOpen)}
               title="Change store"
+              disabled={readOnly}
             >
               {assignedStore ? assignedStore.name : 'No store'}
             </button>
@@ -146,6 +387,7 @@ export const ShoppingItem = ({ item, customCategories, stores, onToggle, onRemov
               className={styles.aisleBadge}
               onClick={() => setIsAislePickerOpen(!isAislePickerOpen)}
               title="Change aisle"
+              disabled={readOnly}
             >
               {item.aisle ?? 'No aisle'}
             </button>
@@ -177,12 +419,14 @@ export const ShoppingItem = ({ item, customCategories, stores, onToggle, onRemov
         <div className={styles.categoryWrapper} ref={categoryPickerRef}>
           <button
             type="button"
-            className={styles.category}
-            style={{ backgroundColor: allColors[item.category] ?? '#9e9e9e' }}
+            className={`${styles.category} ${isCategoryGuess ? styles.categoryGuess : ''}`}
+            style={{ backgroundColor: allColors[displayCategory] ?? '#9e9e9e' }}
             onClick={() => setIsCategoryPickerOpen(!isCategoryPickerOpen)}
-            title="Change category"
+            title={isCategoryGuess ? 'Guessed category - click to confirm or change' : 'Change category'}
+            disabled={readOnly}
           >
-            {allLabels[item.category] ?? 'Other'}
+            {allLabels[displayCategory] ?? 'Other'}
+            {isCategoryGuess && <span className={styles.guessMark}>?</span>}
           </button>
           {isCategoryPickerOpen && (
             <div className={styles.picker}>
@@ -190,7 +434,7 @@ export const ShoppingItem = ({ item, customCategories, stores, onToggle, onRemov
                 <button
                   key={key}
                   type="button"
-                  className={`${styles.pickerOption} ${key === item.category ? styles.pickerActive : ''}`}
+                  className={`${styles.pickerOption} ${key === displayCategory ? styles.pickerActive : ''}`}
                   onClick={() => handleSelectCategory(key)}
                 >
                   <span
@@ -204,13 +448,15 @@ export const ShoppingItem = ({ item, customCategories, stores, onToggle, onRemov
           )}
         </div>
       </div>
-      <button
-        className={styles.deleteBtn}
-        onClick={onRemove}
-        aria-label={`Remove ${item.name}`}
-      >
-        x
-      </button>
+      {!readOnly && (
+        <button
+          className={styles.deleteBtn}
+          onClick={onRemove}
+          aria-label={`Remove ${item.name}`}
+        >
+          x
+        </button>
+      )}
     </div>
   );
 };
@@ -220,20 +466,40 @@ ShoppingItem.propTypes = {
     id: PropTypes.string.isRequired,
     name: PropTypes.string.isRequired,
     category: PropTypes.string.isRequired,
+    categoryConfidence: PropTypes.number,
     isChecked: PropTypes.bool.isRequired,
     store: PropTypes.string,
     aisle: PropTypes.string,
+    quantity: PropTypes.number,
+    unit: PropTypes.string,
+    priority: PropTypes.string,
+    price: PropTypes.number,
+    pricePerUnit: PropTypes.bool,
+    estimatedCost: PropTypes.number,
+    notes: PropTypes.string,
   }).isRequired,
   customCategories: PropTypes.array,
+  categorySettings: PropTypes.object,
   stores: PropTypes.array,
+  priceInfo: PropTypes.shape({
+    lastPrice: PropTypes.object,
+    cheapest: PropTypes.object,
+  }),
+  readOnly: PropTypes.bool,
   onToggle: PropTypes.func.isRequired,
   onRemove: PropTypes.func.isRequired,
   onUpdateCategory: PropTypes.func.isRequired,
   onUpdateStore: PropTypes.func.isRequired,
   onUpdateAisle: PropTypes.func.isRequired,
+  onUpdateQuantity: PropTypes.func.isRequired,
+  onUpdatePrice: PropTypes.func.isRequired,
+  onUpdateEstimatedCost: PropTypes.func.isRequired,
 };
 
 ShoppingItem.defaultProps = {
   customCategories: [],
+  categorySettings: null,
   stores: [],
+  priceInfo: null,
+  readOnly: false,
 };
@@ -1,6 +1,18 @@
 import { useState } from 'react';
 import PropTypes from 'prop-types';
-import { CATEGORIES, getAllCategoryLabels, getAllCategoryColors, getAllCategoryKeys } from '../utils/categories.js';
+import {
+  getAllCategoryLabels,
+  getAllCategoryColors,
+  getAllCategoryKeys,
+  getDisplayCategory,
+} from '../utils/categories.js';
+import {
+  buildPriceIndex,
+  getLastPrice,
+  getCheapestStore,
+  estimateTotal,
+  formatPrice,
+} from '../services/prices.js';
 import { ConfirmDialog } from './ConfirmDialog.jsx';
 import { ShoppingItem } from './ShoppingItem.jsx';
 import styles from './ShoppingList.module.css';
@@ -14,12 +26,18 @@ const CategoryGroup = ({
   allLabels,
   allColors,
   customCategories,
+  categorySettings,
   stores,
+  getPriceInfo,
+  readOnly,
   onToggle,
   onRemove,
   onUpdateCategory,
   onUpdateStore,
   onUpdateAisle,
+  onUpdateQuantity,
+  onUpdatePrice,
+  onUpdateEstimatedCost,
 }) => (
   <>
     {categoryOrder.map((cat) => {
@@ -40,12 +58,18 @@ const CategoryGroup = ({
               key={item.id}
               item={item}
               customCategories={customCategories}
+              categorySettings={categorySettings}
               stores={stores}
+              priceInfo={getPriceInfo(item)}
+              readOnly={readOnly}
               onToggle={() => onToggle(item.id)}
               onRemove={() => onRemove(item.id)}
               onUpdateCategory={onUpdateCategory}
               onUpdateStore={onUpdateStore}
               onUpdateAisle={onUpdateAisle}
+              onUpdateQuantity={onUpdateQuantity}
+              onUpdatePrice={onUpdatePrice}
+              onUpdateEstimatedCost={onUpdateEstimatedCost}
             />
           ))}
         </div>
@@ -55,12 +79,13 @@ const CategoryGroup = ({
 );
 
 /**
- * Groups items by category key. Returns an object keyed by category.
+ * Groups items by the category they are shown under (see getDisplayCategory).
+ * Returns an object keyed by category.
  */
-const groupByCategory = (items) => {
+const groupByCategory = (items, categoryOrder) => {
   const grouped = {};
   for (const item of items) {
-    const cat = item.category ?? CATEGORIES.OTHER;
+    const cat = getDisplayCategory(item.category, categoryOrder);
     if (!grouped[cat]) grouped[cat] = [];
     grouped[cat].push(item);
   }
@@ -70,20 +95,31 @@ const groupByCategory = (items) => {
 /**
  * Displays the shopping list items grouped by store at the top level,
  * then by category within each store. Items without a store appear
- * in an "Unassigned" section. Checked items appear at the bottom.
+ * in an "Unassigned" section. Checked items appear at the bottom and can be
+ * cleared, optionally moving them into the pantry.
+ * Shows an estimated total for the list and each store section, based on
+ * recorded prices and price history.
+ * In read-only mode (view-only shared lists) nothing can be changed.
  */
 export const ShoppingList = ({
   items,
   customCategories,
+  categorySettings,
   stores,
+  prices,
+  readOnly,
   onToggle,
   onRemove,
   onUpdateCategory,
   onUpdateStore,
   onUpdateAisle,
+  onUpdateQuantity,
+  onUpdatePrice,
+  onUpdateEstimatedCost,
   onClearChecked,
 }) => {
   const [isConfirmingClear, setIsConfirmingClear] = useState(false);
+  const [moveToPantry, setMoveToPantry] = useState(false);
 
   if (items.length === 0) {
     return (
@@ -94,13 +130,22 @@ export const ShoppingList = ({
     );
   }
 
-  const allLabels = getAllCategoryLabels(customCategories);
-  const allColors = getAllCategoryColors(customCategories);
-  const categoryOrder = getAllCategoryKeys(customCategories);
+  const allLabels = getAllCategoryLabels(customCategories, categorySettings);
+  const allColors = getAllCategoryColors(customCategories, categorySettings);
+  const categoryOrder = getAllCategoryKeys(customCategories, categorySettings);
 
   const unchecked = items.filter((i) => !i.isChecked);
   const checkedItems = items.filter((i) => i.isChecked);
 
+  const priceIndex = buildPriceIndex(prices);
+  const getPriceInfo = (item) => {
+    const lastPrice = getLastPrice(priceIndex, item.name);
+    const cheapest = getCheapestStore(priceIndex, item.name);
+    return lastPrice || cheapest ? { lastPrice, cheapest } : null;
+  };
+  const listEstimate = estimateTotal(priceIndex, items);
+  const cartEstimate = estimateTotal(priceIndex, checkedItems);
+
   // If no stores exist, fall back to category-only grouping
   const hasStores = stores.length > 0;
 
@@ -127,21 +172,44 @@ export const ShoppingList = ({
     allLabels,
     allColors,
     customCategories,
+    categorySettings,
     stores,
+    getPriceInfo,
+    readOnly,
     onToggle,
     onRemove,
     onUpdateCategory,
     onUpdateStore,
     onUpdateAisle,
+    onUpdateQuantity,
+    onUpdatePrice,
+    onUpdateEstimatedCost,
   };
 
   return (
     <div className={styles.list}>
+      {listEstimate.pricedCount > 0 && (
+        <div className={styles.estimate}>
+          <span>
+            Estimated total <strong>{formatPrice(listEstimate.total)}</strong>
+          </span>
+          {cartEstimate.pricedCount > 0 && (
+            <span>In cart {formatPrice(cartEstimate.total)}</span>
+          )}
+          {listEstimate.unpricedCount > 0 && (
+            <span className={styles.estimateNote}>
+              {listEstimate.unpricedCount} item{listEstimate.unpricedCount === 1 ? '' : 's'} without a price
+            </span>
+          )}
+        </div>
+      )}
+
       {/* Store sections (in store order) */}
       {hasStores && stores.map((store) => {
         const storeItems = byStore[store.id];
         if (!storeItems?.length) return null;
-        const grouped = groupByCategory(storeItems);
+        const grouped = groupByCategory(storeItems, categoryOrder);
+        const storeEstimate = estimateTotal(priceIndex, storeItems);
         return (
           <div key={store.id} className={styles.storeSection}>
             <h3 className={styles.storeTitle}>
@@ -151,6 +219,9 @@ export const ShoppingList = ({
               />
               {store.name}
               <span className={styles.count}>{storeItems.length}</span>
+              {storeEstimate.pricedCount > 0 && (
+                <span className={styles.storeTotal}>≈ {formatPrice(storeEstimate.total)}</span>
+              )}
             </h3>
             <div className={styles.storeBody}>
               <CategoryGroup grouped={grouped} {...categoryGroupProps} />
@@ -170,7 +241,7 @@ export const ShoppingList = ({
             </h3>
           )}
           <div className={hasStores ? styles.storeBody : undefined}>
-            <CategoryGroup grouped={groupByCategory(unassigned)} {...categoryGroupProps} />
+            <CategoryGroup grouped={groupByCategory(unassigned, categoryOrder)} {...categoryGroupProps} />
           </div>
         </div>
       )}
@@ -182,15 +253,18 @@ export const ShoppingList = ({
             <h3 className={styles.groupTitle}>
               Checked ({checkedItems.length})
             </h3>
-            <button className={styles.clearBtn} onClick={() => setIsConfirmingClear(true)}>
-              Clear checked
-            </button>
+            {!readOnly && (
+              <button className={styles.clearBtn} onClick={() => setIsConfirmingClear(true)}>
+                Clear checked
+              </button>
+            )}
             {isConfirmingClear && (
               <ConfirmDialog
                 message={`Clear all ${checkedItems.length} checked items?`}
                 confirmLabel="Clear"
+                option={{ label: 'Move them to the pantry', checked: moveToPantry, onChange: setMoveToPantry }}
                 onConfirm={() => {
-                  onClearChecked();
+                  onClearChecked({ moveToPantry });
                   setIsConfirmingClear(false);
                 }}
                 onCancel={() => setIsConfirmingClear(false)}
@@ -202,12 +276,18 @@ export const ShoppingList = ({
               key={item.id}
               item={item}
               customCategories={customCategories}
+              categorySettings={categorySettings}
               stores={stores}
+              priceInfo={getPriceInfo(item)}
+              readOnly={readOnly}
               onToggle={() => onToggle(item.id)}
               onRemove={() => onRemove(item.id)}
               onUpdateCategory={onUpdateCategory}
               onUpdateStore={onUpdateStore}
               onUpdateAisle={onUpdateAisle}
+              onUpdateQuantity={onUpdateQuantity}
+              onUpdatePrice={onUpdatePrice}
+              onUpdateEstimatedCost={onUpdateEstimatedCost}
             />
           ))}
         </div>
@@ -219,16 +299,25 @@ export const ShoppingList = ({
 ShoppingList.propTypes = {
   items: PropTypes.array.isRequired,
   customCategories: PropTypes.array,
+  categorySettings: PropTypes.object,
   stores: PropTypes.array,
+  prices: PropTypes.array,
+  readOnly: PropTypes.bool,
   onToggle: PropTypes.func.isRequired,
   onRemove: PropTypes.func.isRequired,
   onUpdateCategory: PropTypes.func.isRequired,
   onUpdateStore: PropTypes.func.isRequired,
   onUpdateAisle: PropTypes.func.isRequired,
+  onUpdateQuantity: PropTypes.func.isRequired,
+  onUpdatePrice: PropTypes.func.isRequired,
+  onUpdateEstimatedCost: PropTypes.func.isRequired,
   onClearChecked: PropTypes.func.isRequired,
 };
 
 ShoppingList.defaultProps = {
   customCategories: [],
+  categorySettings: null,
   stores: [],
+  prices: [],
+  readOnly: false,
 };
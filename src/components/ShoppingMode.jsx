@@ -0,0 +1,225 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { buildShoppingRoute, getBusiestStoreId } from '../services/shoppingRoute.js';
+import { formatQuantity } from '../utils/units.js';
+import { PRIORITY_LABELS, PRIORITY_COLORS } from '../utils/priority.js';
+import { useWakeLock } from '../hooks/useWakeLock.js';
+import { ConfirmDialog } from './ConfirmDialog.jsx';
+import styles from './ShoppingMode.module.css';
+
+/** Delay before moving on once every item in the current stop is checked. */
+const AUTO_ADVANCE_MS = 700;
+
+/**
+ * Full-screen in-store shopping mode.
+ * Shows one aisle (or category, for items without an aisle) at a time in the
+ * chosen store's walking order, with large tap targets and a progress bar.
+ * Moves to the next unfinished stop automatically when the current one is done,
+ * and keeps the screen awake while open. Finishing the trip records it in
+ * trip history with the selected store and can move what was bought into the
+ * pantry.
+ */
+export const ShoppingMode = ({ items, stores, customCategories, categorySettings, initialStoreId, onToggle, onFinishTrip, onExit }) => {
+  const [storeId, setStoreId] = useState(() => initialStoreId ?? getBusiestStoreId(items, stores));
+  // Items that were still to buy when the trip started stay on the route once checked
+  const [routeItemIds] = useState(() => new Set(items.filter((i) => !i.isChecked).map((i) => i.id)));
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [isConfirmingFinish, setIsConfirmingFinish] = useState(false);
+  const [moveToPantry, setMoveToPantry] = useState(false);
+
+  useWakeLock(true);
+
+  useEffect(() => {
+    // The confirm dialog handles Escape itself while it is open
+    if (isConfirmingFinish) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onExit();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onExit, isConfirmingFinish]);
+
+  const store = stores.find((s) => s.id === storeId) ?? null;
+  const routeItems = items.filter((i) => !i.isChecked || routeItemIds.has(i.id));
+  const stops = buildShoppingRoute(routeItems, store, customCategories, categorySettings);
+  const stopItemCount = stops.reduce((sum, stop) => sum + stop.items.length, 0);
+  const checkedCount = stops.reduce((sum, stop) => sum + stop.items.filter((i) => i.isChecked).length, 0);
+
+  const index = Math.min(currentIndex, Math.max(stops.length - 1, 0));
+  const stop = stops[index] ?? null;
+  const isStopDone = Boolean(stop) && stop.items.every((i) => i.isChecked);
+  const isTripDone = stopItemCount > 0 && checkedCount === stopItemCount;
+  const nextUnfinished = stops.findIndex((s, i) => i > index && s.items.some((item) => !item.isChecked));
+
+  useEffect(() => {
+    if (!isStopDone || nextUnfinished === -1) return;
+    const timer = setTimeout(() => setCurrentIndex(nextUnfinished), AUTO_ADVANCE_MS);
+    return () => clearTimeout(timer);
+  }, [isStopDone, nextUnfinished]);
+
+  const handleChangeStore = (e) => {
+    setStoreId(e.target.value || null);
+    setCurrentIndex(0);
+  };
+
+  const handleFinish = () => {
+    setIsConfirmingFinish(false);
+    onFinishTrip(storeId, { moveToPantry });
+    onExit();
+  };
+
+  // Finishing clears everything checked on the list, not just this trip's route
+  const listCheckedCount = items.filter((i) => i.isChecked).length;
+  const progress = stopItemCount > 0 ? Math.round((checkedCount / stopItemCount) * 100) : 0;
+
+  return (
+    <div className={styles.overlay} role="dialog" aria-modal="true" aria-label="Shopping mode">
+      <header className={styles.header}>
+        <button type="button" className={styles.exitBtn} onClick={onExit}>
+          ← Exit
+        </button>
+        {stores.length > 0 && (
+          <select
+            className={styles.storeSelect}
+            value={storeId ?? ''}
+            onChange={handleChangeStore}
+            aria-label="Store"
+          >
+            <option value="">Any store</option>
+            {stores.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.name}
+              </option>
+            ))}
+          </select>
+        )}
+        <span className={styles.progressText}>
+          {checkedCount}/{stopItemCount}
+        </span>
+        <button
+          type="button"
+          className={styles.finishBtn}
+          onClick={() => setIsConfirmingFinish(true)}
+        >
+          Finish
+        </button>
+      </header>
+
+      <div
+        className={styles.progressBar}
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={progress}
+      >
+        <div className={styles.progressFill} style={{ width: `${progress}%` }} />
+      </div>
+
+      {isTripDone || !stop ? (
+        <div className={styles.done}>
+          <p className={styles.doneTitle}>{isTripDone ? 'All done!' : 'Nothing to buy here.'}</p>
+          {listCheckedCount > 0 && (
+            <button type="button" className={styles.doneBtn} onClick={handleFinish}>
+              Finish trip
+            </button>
+          )}
+          <button type="button" className={styles.backBtn} onClick={onExit}>
+            Back to list
+          </button>
+        </div>
+      ) : (
+        <>
+          <div className={styles.stopHeader}>
+            <span className={styles.stopPosition}>
+              {index + 1} of {stops.length}
+            </span>
+            <h2 className={styles.stopTitle}>
+              {stop.isAisle ? `Aisle: ${stop.label}` : stop.label}
+            </h2>
+          </div>
+
+          <ul className={styles.items}>
+            {stop.items.map((item) => {
+              const quantityLabel = formatQuantity(item.quantity ?? null, item.unit ?? null);
+              return (
+                <li key={item.id}>
+                  <button
+                    type="button"
+                    className={`${styles.itemBtn} ${item.isChecked ? styles.itemChecked : ''}`}
+                    onClick={() => onToggle(item.id)}
+                    aria-pressed={item.isChecked}
+                  >
+                    <span className={styles.check} aria-hidden="true">
+                      {item.isChecked ? '✓' : ''}
+                    </span>
+                    <span className={styles.itemName}>
+                      {item.name}
+                      {item.notes && <span className={styles.itemNotes}>{item.notes}</span>}
+                    </span>
+                    {quantityLabel && <span className={styles.itemQuantity}>{quantityLabel}</span>}
+                    {item.priority && PRIORITY_LABELS[item.priority] && (
+                      <span className={styles.itemPriority} style={{ color: PRIORITY_COLORS[item.priority] }}>
+                        {PRIORITY_LABELS[item.priority]}
+                      </span>
+                    )}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+
+          <footer className={styles.footer}>
+            <button
+              type="button"
+              className={styles.navBtn}
+              onClick={() => setCurrentIndex(index - 1)}
+              disabled={index === 0}
+            >
+              ‹ Previous
+            </button>
+            <button
+              type="button"
+              className={styles.navBtn}
+              onClick={() => setCurrentIndex(index + 1)}
+              disabled={index >= stops.length - 1}
+            >
+              Next ›
+            </button>
+          </footer>
+        </>
+      )}
+
+      {isConfirmingFinish && (
+        <ConfirmDialog
+          message={listCheckedCount > 0
+            ? `Finish the trip and clear ${listCheckedCount} checked item${listCheckedCount === 1 ? '' : 's'}?`
+            : 'Nothing is checked yet. End the trip without saving it?'}
+          confirmLabel="Finish"
+          option={listCheckedCount > 0
+            ? { label: 'Move checked items to the pantry', checked: moveToPantry, onChange: setMoveToPantry }
+            : null}
+          onConfirm={handleFinish}
+          onCancel={() => setIsConfirmingFinish(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+ShoppingMode.propTypes = {
+  items: PropTypes.array.isRequired,
+  stores: PropTypes.array,
+  customCategories: PropTypes.array,
+  categorySettings: PropTypes.object,
+  initialStoreId: PropTypes.string,
+  onToggle: PropTypes.func.isRequired,
+  onFinishTrip: PropTypes.func.isRequired,
+  onExit: PropTypes.func.isRequired,
+};
+
+ShoppingMode.defaultProps = {
+  stores: [],
+  customCategories: [],
+  categorySettings: null,
+  initialStoreId: null,
+};
@@ -1,37 +1,144 @@
+import { useState } from 'react';
 import PropTypes from 'prop-types';
-import { CATEGORY_LABELS, CATEGORY_COLORS } from '../utils/categories.js';
+import { getAllCategoryColors } from '../utils/categories.js';
+import { formatDateTime } from '../utils/dates.js';
 import styles from './Suggestions.module.css';
 
+/** Snooze lengths offered in a suggestion's menu, in days. */
+const SNOOZE_DAYS = [3, 7, 30];
+
 /**
  * Displays AI-powered item suggestions.
- * Each suggestion shows the item name, reason, and an add button.
+ * Each suggestion shows the item name, reason, and an add button, plus a menu
+ * to dismiss it for this list, snooze it or never suggest it again.
+ * Snoozed and never-suggested items are listed below so they can be restored.
+ * Adding a suggestion fills in the store and aisle it was last bought at.
+ * While shopping at a store, the suggestions can be narrowed down to it.
  */
-export const Suggestions = ({ suggestions, onAdd }) => {
-  if (suggestions.length === 0) {
+export const Suggestions = ({
+  suggestions,
+  hiddenSuggestions,
+  customCategories,
+  categorySettings,
+  shoppingStore,
+  isStoreFiltered,
+  onToggleStoreFilter,
+  onAdd,
+  onDismiss,
+  onSnooze,
+  onNeverSuggest,
+  onRestore,
+}) => {
+  const [menuName, setMenuName] = useState(null);
+  const [isHiddenOpen, setIsHiddenOpen] = useState(false);
+
+  if (suggestions.length === 0 && hiddenSuggestions.length === 0 && !isStoreFiltered) {
     return null;
   }
 
+  const colors = getAllCategoryColors(customCategories, categorySettings);
+
+  const chooseAction = (action) => {
+    action();
+    setMenuName(null);
+  };
+
   return (
     <div className={styles.container}>
       <h3 className={styles.title}>AI Suggestions</h3>
       <p className={styles.subtitle}>Based on your shopping habits</p>
+      {shoppingStore && (
+        <button
+          type="button"
+          className={`${styles.storeFilter} ${isStoreFiltered ? styles.storeFilterOn : ''}`}
+          onClick={onToggleStoreFilter}
+          aria-pressed={isStoreFiltered}
+        >
+          Only items for {shoppingStore.name}
+        </button>
+      )}
+      {suggestions.length === 0 && (
+        <p className={styles.emptyHint}>No suggestions for {shoppingStore?.name ?? 'this store'}.</p>
+      )}
       <div className={styles.grid}>
-        {suggestions.map((suggestion) => (
+        {suggestions.map((suggestion) => {
+          const isMenuOpen = menuName === suggestion.name;
+          return (
+            <div key={suggestion.name} className={styles.chip}>
+              <button
+                type="button"
+                className={styles.addBtn}
+                onClick={() => onAdd(suggestion.name, { store: suggestion.store, aisle: suggestion.aisle })}
+              >
+                <span
+                  className={styles.dot}
+                  style={{ backgroundColor: colors[suggestion.category] ?? '#9e9e9e' }}
+                />
+                <span className={styles.name}>{suggestion.name}</span>
+                <span className={styles.reason}>{suggestion.reason}</span>
+                <span className={styles.addIcon}>+</span>
+              </button>
+              <button
+                type="button"
+                className={styles.moreBtn}
+                onClick={() => setMenuName(isMenuOpen ? null : suggestion.name)}
+                aria-expanded={isMenuOpen}
+                aria-label={`More options for ${suggestion.name}`}
+              >
+                ⋯
+              </button>
+
+              {isMenuOpen && (
+                <div className={styles.menu}>
+                  <button type="button" onClick={() => chooseAction(() => onDismiss(suggestion.name))}>
+                    Not for this list
+                  </button>
+                  {SNOOZE_DAYS.map((days) => (
+                    <button
+                      key={days}
+                      type="button"
+                      onClick={() => chooseAction(() => onSnooze(suggestion.name, days))}
+                    >
+                      Snooze {days} days
+                    </button>
+                  ))}
+                  <button type="button" onClick={() => chooseAction(() => onNeverSuggest(suggestion.name))}>
+                    Never suggest
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {hiddenSuggestions.length > 0 && (
+        <div className={styles.hidden}>
           <button
-            key={suggestion.name}
-            className={styles.chip}
-            onClick={() => onAdd(suggestion.name)}
+            type="button"
+            className={styles.hiddenToggle}
+            onClick={() => setIsHiddenOpen(!isHiddenOpen)}
+            aria-expanded={isHiddenOpen}
           >
-            <span
-              className={styles.dot}
-              style={{ backgroundColor: CATEGORY_COLORS[suggestion.category] ?? '#9e9e9e' }}
-            />
-            <span className={styles.name}>{suggestion.name}</span>
-            <span className={styles.reason}>{suggestion.reason}</span>
-            <span className={styles.addIcon}>+</span>
+            {hiddenSuggestions.length} hidden suggestion{hiddenSuggestions.length === 1 ? '' : 's'}
           </button>
-        ))}
-      </div>
+          {isHiddenOpen && (
+            <ul className={styles.hiddenList}>
+              {hiddenSuggestions.map((hidden) => (
+                <li key={hidden.name} className={styles.hiddenItem}>
+                  <span className={styles.name}>{hidden.name}</span>
+                  <span className={styles.hiddenReason}>
+                    {hidden.neverSuggest ? 'Never suggested' : `Snoozed until ${formatDateTime(hidden.snoozedUntil)}`}
+                  </span>
+                  <button type="button" className={styles.restoreBtn} onClick={() => onRestore(hidden.name)}>
+                    Restore
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -42,7 +149,36 @@ Suggestions.propTypes = {
       name: PropTypes.string.isRequired,
       reason: PropTypes.string.isRequired,
       category: PropTypes.string.isRequired,
+      store: PropTypes.string,
+      aisle: PropTypes.string,
     })
   ).isRequired,
+  hiddenSuggestions: PropTypes.arrayOf(
+    PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      neverSuggest: PropTypes.bool.isRequired,
+      snoozedUntil: PropTypes.instanceOf(Date),
+    })
+  ),
+  customCategories: PropTypes.array,
+  categorySettings: PropTypes.object,
+  shoppingStore: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+  }),
+  isStoreFiltered: PropTypes.bool,
+  onToggleStoreFilter: PropTypes.func.isRequired,
   onAdd: PropTypes.func.isRequired,
+  onDismiss: PropTypes.func.isRequired,
+  onSnooze: PropTypes.func.isRequired,
+  onNeverSuggest: PropTypes.func.isRequired,
+  onRestore: PropTypes.func.isRequired,
+};
+
+Suggestions.defaultProps = {
+  hiddenSuggestions: [],
+  customCategories: [],
+  categorySettings: null,
+  shoppingStore: null,
+  isStoreFiltered: false,
 };
@@ -0,0 +1,30 @@
+import { useSyncStatus } from '../hooks/useSyncStatus.js';
+import styles from './SyncIndicator.module.css';
+
+/**
+ * Small header badge showing whether changes are synced.
+ * Shows "Offline" while disconnected, a count of unsynced changes while
+ * writes are pending, and "Synced" otherwise.
+ */
+export const SyncIndicator = () => {
+  const { isOnline, pendingWrites } = useSyncStatus();
+
+  let label = 'Synced';
+  let variant = styles.synced;
+  if (!isOnline) {
+    label = pendingWrites > 0
+      ? `Offline · ${pendingWrites} unsynced`
+      : 'Offline';
+    variant = styles.offline;
+  } else if (pendingWrites > 0) {
+    label = `Syncing ${pendingWrites} change${pendingWrites === 1 ? '' : 's'}`;
+    variant = styles.syncing;
+  }
+
+  return (
+    <span className={`${styles.indicator} ${variant}`} role="status" aria-live="polite">
+      <span className={styles.dot} aria-hidden="true" />
+      {label}
+    </span>
+  );
+};
@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { formatDateTime } from '../utils/dates.js';
+import { ConfirmDialog } from './ConfirmDialog.jsx';
+import styles from './TripBar.module.css';
+
+/**
+ * Bar shown above a list while a shopping trip is in progress.
+ * Lets the shopper jump back into shopping mode, finish the trip (recording
+ * the checked items, optionally moving them into the pantry, and clearing
+ * them) or cancel it.
+ */
+export const TripBar = ({ trip, storeName, checkedCount, onResume, onFinish, onCancel }) => {
+  const [isConfirmingFinish, setIsConfirmingFinish] = useState(false);
+  const [moveToPantry, setMoveToPantry] = useState(false);
+  const startedLabel = formatDateTime(trip.startedAt);
+
+  return (
+    <div className={styles.bar}>
+      <span className={styles.status}>
+        Shopping{storeName ? ` at ${storeName}` : ''}
+        {startedLabel && <span className={styles.since}> since {startedLabel}</span>}
+        <span className={styles.count}> · {checkedCount} checked</span>
+      </span>
+      <div className={styles.actions}>
+        <button type="button" className={styles.resumeBtn} onClick={onResume}>
+          Resume
+        </button>
+        <button type="button" className={styles.finishBtn} onClick={() => setIsConfirmingFinish(true)}>
+          Finish trip
+        </button>
+        <button type="button" className={styles.cancelBtn} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+
+      {isConfirmingFinish && (
+        <ConfirmDialog
+          message={checkedCount > 0
+            ? `Finish the trip and clear ${checkedCount} checked item${checkedCount === 1 ? '' : 's'}?`
+            : 'Nothing is checked yet. End the trip without saving it?'}
+          confirmLabel="Finish"
+          option={checkedCount > 0
+            ? { label: 'Move checked items to the pantry', checked: moveToPantry, onChange: setMoveToPantry }
+            : null}
+          onConfirm={() => {
+            onFinish({ moveToPantry });
+            setIsConfirmingFinish(false);
+          }}
+          onCancel={() => setIsConfirmingFinish(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+TripBar.propTypes = {
+  trip: PropTypes.shape({
+    startedAt: PropTypes.object,
+    storeId: PropTypes.string,
+  }).isRequired,
+  storeName: PropTypes.string,
+  checkedCount: PropTypes.number.isRequired,
+  onResume: PropTypes.func.isRequired,
+  onFinish: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+TripBar.defaultProps = {
+  storeName: null,
+};
@@ -0,0 +1,164 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { formatQuantity } from '../utils/units.js';
+import { formatDateTime, formatDuration } from '../utils/dates.js';
+import { ConfirmDialog } from './ConfirmDialog.jsx';
+import styles from './TripHistory.module.css';
+
+/**
+ * Collapsible panel listing past shopping trips, newest first.
+ * Each trip expands to show what was bought and can be re-added to any list
+ * the user can edit.
+ */
+export const TripHistory = ({ trips, lists, activeListId, onReAdd, onDelete }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [targetListId, setTargetListId] = useState(activeListId);
+  const [confirmingDeleteId, setConfirmingDeleteId] = useState(null);
+  const [addedNote, setAddedNote] = useState(null);
+
+  // Fall back to the active list if the chosen one is gone or no longer editable
+  const targetList = lists.find((l) => l.id === targetListId)
+    ?? lists.find((l) => l.id === activeListId)
+    ?? lists[0]
+    ?? null;
+
+  const handleReAdd = (trip) => {
+    if (!targetList) return;
+    onReAdd(targetList.id, trip.items);
+    setAddedNote({ tripId: trip.id, listName: targetList.name });
+  };
+
+  const toggleExpanded = (tripId) => {
+    setExpandedId((prev) => (prev === tripId ? null : tripId));
+    setAddedNote(null);
+  };
+
+  return (
+    <div className={styles.container}>
+      <button
+        className={styles.toggle}
+        onClick={() => setIsOpen(!isOpen)}
+        type="button"
+      >
+        <span className={styles.toggleIcon}>{isOpen ? '−' : '+'}</span>
+        Trip History
+      </button>
+
+      {isOpen && (
+        <div className={styles.panel}>
+          {trips.length === 0 ? (
+            <p className={styles.emptyHint}>
+              No trips yet. Start shopping on a list and finish the trip to record it here.
+            </p>
+          ) : (
+            <ul className={styles.tripList}>
+              {trips.map((trip) => {
+                const isExpanded = expandedId === trip.id;
+                const duration = formatDuration(trip.startedAt, trip.finishedAt);
+                return (
+                  <li key={trip.id} className={styles.trip}>
+                    <button
+                      type="button"
+                      className={styles.tripHeader}
+                      onClick={() => toggleExpanded(trip.id)}
+                      aria-expanded={isExpanded}
+                    >
+                      <span className={styles.tripDate}>
+                        {formatDateTime(trip.finishedAt) || 'Just now'}
+                      </span>
+                      <span className={styles.tripMeta}>
+                        {trip.storeName ?? 'Any store'} · {trip.listName}
+                      </span>
+                      <span className={styles.tripCount}>
+                        {trip.items.length} item{trip.items.length === 1 ? '' : 's'}
+                        {duration && ` · ${duration}`}
+                      </span>
+                    </button>
+
+                    {isExpanded && (
+                      <div className={styles.tripBody}>
+                        <ul className={styles.itemList}>
+                          {trip.items.map((item, index) => {
+                            const quantityLabel = formatQuantity(item.quantity ?? null, item.unit ?? null);
+                            return (
+                              <li key={`${item.name}-${index}`} className={styles.item}>
+                                {item.name}
+                                {quantityLabel && (
+                                  <span className={styles.itemQuantity}>{quantityLabel}</span>
+                                )}
+                              </li>
+                            );
+                          })}
+                        </ul>
+
+                        <div className={styles.actions}>
+                          {targetList && (
+                            <>
+                              <select
+                                className={styles.listSelect}
+                                value={targetList.id}
+                                onChange={(e) => setTargetListId(e.target.value)}
+                                aria-label="List to add items to"
+                              >
+                                {lists.map((list) => (
+                                  <option key={list.id} value={list.id}>
+                                    {list.name}
+                                  </option>
+                                ))}
+                              </select>
+                              <button
+                                type="button"
+                                className={styles.reAddBtn}
+                                onClick={() => handleReAdd(trip)}
+                              >
+                                Add to list
+                              </button>
+                            </>
+                          )}
+                          <button
+                            type="button"
+                            className={styles.deleteBtn}
+                            onClick={() => setConfirmingDeleteId(trip.id)}
+                          >
+                            Delete
+                          </button>
+                        </div>
+                        {addedNote?.tripId === trip.id && (
+                          <p className={styles.addedNote}>Added to {addedNote.listName}.</p>
+                        )}
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {confirmingDeleteId && (
+        <ConfirmDialog
+          message="Delete this trip from your history?"
+          onConfirm={() => {
+            onDelete(confirmingDeleteId);
+            setConfirmingDeleteId(null);
+          }}
+          onCancel={() => setConfirmingDeleteId(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+TripHistory.propTypes = {
+  trips: PropTypes.array.isRequired,
+  lists: PropTypes.array.isRequired,
+  activeListId: PropTypes.string,
+  onReAdd: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+};
+
+TripHistory.defaultProps = {
+  activeListId: null,
+};
@@ -0,0 +1,31 @@
+import { useState } from 'react';
+import { useServiceWorkerUpdate } from '../hooks/useServiceWorkerUpdate.js';
+import styles from './UpdatePrompt.module.css';
+
+/**
+ * Banner shown when a new version of the app has been downloaded.
+ * Reloading switches to it; dismissing keeps the current version until the
+ * next launch.
+ */
+export const UpdatePrompt = () => {
+  const { updateReady, applyUpdate } = useServiceWorkerUpdate();
+  const [isDismissed, setIsDismissed] = useState(false);
+
+  if (!updateReady || isDismissed) return null;
+
+  return (
+    <div className={styles.banner} role="status">
+      <span className={styles.message}>A new version is available.</span>
+      <button className={styles.reloadBtn} onClick={applyUpdate}>
+        Reload
+      </button>
+      <button
+        className={styles.dismissBtn}
+        onClick={() => setIsDismissed(true)}
+        aria-label="Dismiss update notice"
+      >
+        ×
+      </button>
+    </div>
+  );
+};
@@ -1,36 +1,81 @@
 /**
  * Shopping list state management backed by Firestore.
- * Real-time listeners push data into state. Actions call Firestore directly.
- * All data is scoped to the authenticated user.
+ * Real-time listeners push data into state. Actions call Firestore directly
+ * without waiting for the server, so they keep working offline.
+ * All data is scoped to the authenticated user, except lists shared with them,
+ * which are read and written under the list owner's path.
  */
-import { createContext, useState, useEffect, useCallback, useRef } from 'react';
-import { increment } from 'firebase/firestore';
-import { categorizeItem } from '../utils/categories.js';
+import { createContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { CATEGORIES, categorizeItemWithConfidence, createCustomCategoryKey } from '../utils/categories.js';
+import { LIST_ROLES, getListRole, canEditList } from '../utils/sharing.js';
+import { MS_PER_DAY } from '../utils/dates.js';
 import { useAuth } from './AuthContext.jsx';
+import { useUserSubscription } from '../hooks/useUserSubscription.js';
 import {
   subscribeLists,
   subscribeItems,
   subscribeHistory,
   subscribeCustomCategories,
   subscribeStores,
+  subscribeTrips,
+  subscribePrices,
+  subscribeCategoryOverrides,
+  subscribeCategorySettings,
+  subscribeSuggestionFeedback,
+  subscribeRecipes,
+  subscribePantry,
   createList as fsCreateList,
   updateList as fsUpdateList,
   deleteList as fsDeleteList,
   addItem as fsAddItem,
   addItems as fsAddItems,
   updateItem as fsUpdateItem,
+  updateItems as fsUpdateItems,
+  updateItemsAcrossLists,
+  getListItems,
+  setItemChecked,
   removeItem as fsRemoveItem,
   clearCheckedItems,
+  setItemPrice,
+  startTrip,
+  cancelTrip,
+  finishTrip,
+  deleteTrip as fsDeleteTrip,
   addHistoryEntry,
+  addHistoryEntries,
   createCustomCategory,
   updateCustomCategory as fsUpdateCustomCategory,
   deleteCustomCategory as fsDeleteCustomCategory,
   saveCustomCategoryOrder,
+  importCustomCategories,
+  saveCategoryOverride,
+  updateCategorySettings,
+  setCategoryHidden,
+  resetCategorySettings,
   createStore as fsCreateStore,
   updateStore as fsUpdateStore,
   deleteStore as fsDeleteStore,
   saveStoreOrder,
+  createListInvite,
+  joinListByCode,
+  removeListMember,
+  dismissSuggestion,
+  snoozeSuggestion,
+  neverSuggest,
+  restoreSuggestion,
+  createRecipe as fsCreateRecipe,
+  updateRecipe as fsUpdateRecipe,
+  deleteRecipe as fsDeleteRecipe,
+  savePantryItems,
+  updatePantryItem as fsUpdatePantryItem,
+  deletePantryItem as fsDeletePantryItem,
 } from '../services/firestore.js';
+import { trackWrite } from '../services/sync.js';
+import { buildPriceEntry } from '../services/prices.js';
+import { buildCategoryLearning, normalizeItemName } from '../services/categoryLearning.js';
+import { applyCategoryChange, planCategoryMoves } from '../services/categoryChanges.js';
+import { feedbackKey } from '../services/suggestionFeedback.js';
+import { planPantryRestock, toPantryItems } from '../services/pantry.js';
 
 /** Capitalizes the first letter of a string. */
 const capitalize = (str) => str.charAt(0).toUpperCase() + str.slice(1);
@@ -51,6 +96,14 @@ export const ShoppingListProvider = ({ children }) => {
   const [history, setHistory] = useState([]);
   const [customCategories, setCustomCategories] = useState([]);
   const [stores, setStores] = useState([]);
+  const trips = useUserSubscription(userId, subscribeTrips);
+  const prices = useUserSubscription(userId, subscribePrices);
+  const categoryOverrides = useUserSubscription(userId, subscribeCategoryOverrides);
+  const learnedCategories = useMemo(() => buildCategoryLearning(categoryOverrides), [categoryOverrides]);
+  const categorySettings = useUserSubscription(userId, subscribeCategorySettings, null);
+  const suggestionFeedback = useUserSubscription(userId, subscribeSuggestionFeedback);
+  const recipes = useUserSubscription(userId, subscribeRecipes);
+  const pantry = useUserSubscription(userId, subscribePantry);
 
   // Track whether we've auto-selected a list on initial load
   const hasAutoSelected = useRef(false);
@@ -73,14 +126,17 @@ export const ShoppingListProvider = ({ children }) => {
     });
   }, [userId]);
 
+  // Lists shared with the user live under another user's path
+  const activeOwnerId = lists.find((l) => l.id === activeListId)?.ownerId ?? null;
+
   // Subscribe to items of the active list
   useEffect(() => {
-    if (!userId || !activeListId) {
+    if (!activeOwnerId || !activeListId) {
       setActiveItems([]);
       return;
     }
-    return subscribeItems(userId, activeListId, setActiveItems);
-  }, [userId, activeListId]);
+    return subscribeItems(activeOwnerId, activeListId, setActiveItems);
+  }, [activeOwnerId, activeListId]);
 
   // Subscribe to history
   useEffect(() => {
@@ -113,148 +169,435 @@ export const ShoppingListProvider = ({ children }) => {
   // Actions (same API surface as before)
   // -----------------------------------------------------------------------
 
-  const createListAction = useCallback(async (name) => {
-    if (!userId) return;
-    const newId = await fsCreateList(userId, name);
-    setActiveListId(newId);
-  }, [userId]);
+  /** Looks up a list (owned or shared) by ID. */
+  const getList = useCallback((listId) => lists.find((l) => l.id === listId) ?? null, [lists]);
 
-  const deleteListAction = useCallback(async (id) => {
+  const createListAction = useCallback((name) => {
     if (!userId) return;
-    await fsDeleteList(userId, id);
+    const ownerName = user.isAnonymous ? 'Guest' : user.displayName ?? user.email ?? null;
+    const { id, write } = fsCreateList(userId, name, ownerName);
+    trackWrite(write);
+    setActiveListId(id);
+  }, [userId, user]);
+
+  const deleteListAction = useCallback((id) => {
+    const list = getList(id);
+    if (getListRole(list, userId) !== LIST_ROLES.OWNER) return;
+    trackWrite(fsDeleteList(userId, id));
     if (activeListId === id) {
-      setActiveListId((prev) => {
-        const remaining = lists.filter((l) => l.id !== id);
-        return remaining[0]?.id ?? null;
-      });
+      setActiveListId(lists.find((l) => l.id !== id)?.id ?? null);
     }
-  }, [userId, activeListId, lists]);
-
-  const renameListAction = useCallback(async (id, newName) => {
-    if (!userId) return;
-    await fsUpdateList(userId, id, { name: newName });
-  }, [userId]);
+  }, [userId, activeListId, lists, getList]);
+
+  const renameListAction = useCallback((id, newName) => {
+    const list = getList(id);
+    if (getListRole(list, userId) !== LIST_ROLES.OWNER) return;
+    trackWrite(fsUpdateList(userId, id, { name: newName }));
+  }, [userId, getList]);
+
+  /** Sets or clears (null) a list's budget. */
+  const setListBudgetAction = useCallback((id, budget) => {
+    const list = getList(id);
+    if (getListRole(list, userId) !== LIST_ROLES.OWNER) return;
+    trackWrite(fsUpdateList(userId, id, { budget }));
+  }, [userId, getList]);
+
+  const createInviteAction = useCallback(async (listId, role) => {
+    const list = getList(listId);
+    if (getListRole(list, userId) !== LIST_ROLES.OWNER) return null;
+    return createListInvite(userId, listId, list.name, role);
+  }, [userId, getList]);
+
+  const joinListAction = useCallback(async (code) => {
+    if (!user) return;
+    const listId = await joinListByCode(user, code);
+    setActiveListId(listId);
+  }, [user]);
+
+  const removeMemberAction = useCallback((listId, memberId) => {
+    const list = getList(listId);
+    const role = getListRole(list, userId);
+    // Owners can remove anyone; members can only remove themselves (leave)
+    if (role !== LIST_ROLES.OWNER && memberId !== userId) return;
+    trackWrite(removeListMember(list.ownerId, listId, memberId));
+    if (memberId === userId && activeListId === listId) {
+      setActiveListId(lists.find((l) => l.id !== listId)?.id ?? null);
+    }
+  }, [userId, getList, activeListId, lists]);
 
   const selectListAction = useCallback((id) => {
     setActiveListId(id);
   }, []);
 
-  const addItemAction = useCallback(async (listId, rawName, storeId = null, aisle = null) => {
-    if (!userId) return;
+  // Item writes are fire-and-forget: they apply to the local cache at once and
+  // sync when the server is reachable, so nothing here waits on the network.
+
+  /**
+   * Adds a single item. `details` may carry store, aisle, quantity, unit,
+   * priority, estimatedCost and notes.
+   */
+  const addItemAction = useCallback((listId, rawName, details = {}) => {
+    const list = getList(listId);
+    if (!canEditList(list, userId)) return;
     const name = capitalize(rawName.trim());
+    const { category, confidence } = categorizeItemWithConfidence(name, customCategories, learnedCategories);
     const item = {
       name,
-      category: categorizeItem(name, customCategories),
+      category,
+      categoryConfidence: confidence,
       isChecked: false,
-      store: storeId,
-      aisle,
+      store: details.store ?? null,
+      aisle: details.aisle ?? null,
+      quantity: details.quantity ?? null,
+      unit: details.unit ?? null,
+      priority: details.priority ?? null,
+      estimatedCost: details.estimatedCost ?? null,
+      notes: details.notes ?? null,
     };
-    await fsAddItem(userId, listId, item);
-    await addHistoryEntry(userId, name);
-  }, [userId, customCategories]);
+    trackWrite(fsAddItem(list.ownerId, listId, item));
+    trackWrite(addHistoryEntry(userId, name, listId));
+  }, [userId, customCategories, learnedCategories, getList]);
 
-  const addItemsAction = useCallback(async (listId, items) => {
-    if (!userId) return;
+  const addItemsAction = useCallback((listId, items) => {
+    const list = getList(listId);
+    if (!canEditList(list, userId)) return;
     const prepared = items.map((item) => {
       const name = capitalize(item.name.trim());
+      // A saved correction beats the generic category recipes and suggestions come with
+      const { category, confidence } = item.category && !learnedCategories.overrides.has(normalizeItemName(name))
+        ? { category: item.category, confidence: item.categoryConfidence ?? null }
+        : categorizeItemWithConfidence(name, customCategories, learnedCategories);
       return {
         name,
-        category: item.category ?? categorizeItem(name, customCategories),
+        category,
+        categoryConfidence: confidence,
         isChecked: false,
         store: item.store ?? null,
         aisle: item.aisle ?? null,
+        quantity: item.quantity ?? null,
+        unit: item.unit ?? null,
+        priority: item.priority ?? null,
+        estimatedCost: item.estimatedCost ?? null,
+        notes: item.notes ?? null,
       };
     });
-    await fsAddItems(userId, listId, prepared);
-    for (const item of prepared) {
-      await addHistoryEntry(userId, item.name);
-    }
-  }, [userId, customCategories]);
+    trackWrite(fsAddItems(list.ownerId, listId, prepared));
+    trackWrite(addHistoryEntries(userId, prepared.map((item) => item.name), listId));
+  }, [userId, customCategories, learnedCategories, getList]);
 
-  const toggleItemAction = useCallback(async (listId, itemId) => {
-    if (!userId) return;
+  const toggleItemAction = useCallback((listId, itemId) => {
+    const list = getList(listId);
+    if (!canEditList(list, userId)) return;
     const item = activeItems.find((i) => i.id === itemId);
     if (!item) return;
-    const nowChecked = !item.isChecked;
-    await fsUpdateItem(userId, listId, itemId, { isChecked: nowChecked });
-    // Checked items don't count, so adjust itemCount accordingly
-    await fsUpdateList(userId, listId, { itemCount: increment(nowChecked ? -1 : 1) });
-  }, [userId, activeItems]);
+    trackWrite(setItemChecked(list.ownerId, listId, itemId, !item.isChecked));
+  }, [userId, activeItems, getList]);
 
-  const removeItemAction = useCallback(async (listId, itemId) => {
+  const removeItemAction = useCallback((listId, itemId) => {
+    const list = getList(listId);
+    if (!canEditList(list, userId)) return;
+    const item = activeItems.find((i) => i.id === itemId);
+    // Only unchecked items are in the itemCount
+    trackWrite(fsRemoveItem(list.ownerId, listId, itemId, Boolean(item && !item.isChecked)));
+  }, [userId, activeItems, getList]);
+
+  const updateItemAction = useCallback((listId, itemId, updates) => {
+    const list = getList(listId);
+    if (!canEditList(list, userId)) return;
+    trackWrite(fsUpdateItem(list.ownerId, listId, itemId, updates));
+  }, [userId, getList]);
+
+  /**
+   * Moves an item to another category (or confirms a guessed one) and
+   * remembers the correction, so the same name (and similar ones) land there
+   * next time.
+   */
+  const recategorizeItemAction = useCallback((listId, itemId, category) => {
+    const list = getList(listId);
+    if (!canEditList(list, userId)) return;
+    const item = activeItems.find((i) => i.id === itemId);
+    if (!item) return;
+    trackWrite(fsUpdateItem(list.ownerId, listId, itemId, { category, categoryConfidence: 1 }));
+    trackWrite(saveCategoryOverride(userId, normalizeItemName(item.name), category));
+  }, [userId, activeItems, getList]);
+
+  const updateItemsAction = useCallback((listId, changes) => {
+    const list = getList(listId);
+    if (!canEditList(list, userId) || changes.length === 0) return;
+    trackWrite(fsUpdateItems(list.ownerId, listId, changes));
+  }, [userId, getList]);
+
+  /** Adds items to the pantry, topping up amounts of items already there. */
+  const addPantryItemsAction = useCallback((items) => {
     if (!userId) return;
+    const { creates, updates } = planPantryRestock(pantry, items);
+    if (creates.length === 0 && updates.length === 0) return;
+    trackWrite(savePantryItems(userId, creates, updates));
+  }, [userId, pantry]);
+
+  /** Clears checked items, optionally moving them into the pantry first. */
+  const clearCheckedAction = useCallback((listId, { moveToPantry = false } = {}) => {
+    const list = getList(listId);
+    if (!canEditList(list, userId)) return;
+    const checked = activeItems.filter((i) => i.isChecked);
+    if (checked.length === 0) return;
+    if (moveToPantry) addPantryItemsAction(toPantryItems(checked));
+    trackWrite(clearCheckedItems(list.ownerId, listId, checked.map((i) => i.id)));
+  }, [userId, activeItems, getList, addPantryItemsAction]);
+
+  /**
+   * Sets the price paid for an item and records it in price history under the
+   * item's store. `pricePerUnit` means the price is per unit of the item's quantity.
+   */
+  const setItemPriceAction = useCallback((listId, itemId, price, pricePerUnit = false) => {
+    const list = getList(listId);
+    if (!canEditList(list, userId)) return;
     const item = activeItems.find((i) => i.id === itemId);
-    await fsRemoveItem(userId, listId, itemId);
-    // Only decrement if the item was unchecked (checked items aren't in the count)
-    if (item && !item.isChecked) {
-      await fsUpdateList(userId, listId, { itemCount: increment(-1) });
+    if (!item) return;
+    const priced = { ...item, price, pricePerUnit };
+    const store = stores.find((s) => s.id === item.store) ?? null;
+    const entry = price != null ? buildPriceEntry(priced, store) : null;
+    trackWrite(setItemPrice(userId, list.ownerId, listId, itemId, {
+      price,
+      pricePerUnit,
+      priceEntryId: item.priceEntryId ?? null,
+    }, entry));
+  }, [userId, activeItems, stores, getList]);
+
+  /** Starts a shopping trip on a list, optionally at a given store. */
+  const startTripAction = useCallback((listId, storeId = null) => {
+    const list = getList(listId);
+    if (!canEditList(list, userId) || list.activeTrip) return;
+    trackWrite(startTrip(list.ownerId, listId, { storeId, startedBy: userId }));
+  }, [userId, getList]);
+
+  const cancelTripAction = useCallback((listId) => {
+    const list = getList(listId);
+    if (!canEditList(list, userId) || !list.activeTrip) return;
+    trackWrite(cancelTrip(list.ownerId, listId));
+  }, [userId, getList]);
+
+  /**
+   * Finishes the active list's trip: saves the checked items to trip history
+   * and clears them from the list, optionally moving them into the pantry.
+   * A trip with nothing checked is just ended.
+   */
+  const finishTripAction = useCallback((listId, storeId, { moveToPantry = false } = {}) => {
+    const list = getList(listId);
+    if (!canEditList(list, userId) || listId !== activeListId) return;
+    const checked = activeItems.filter((i) => i.isChecked);
+    if (checked.length === 0) {
+      if (list.activeTrip) trackWrite(cancelTrip(list.ownerId, listId));
+      return;
     }
-  }, [userId, activeItems]);
+    const tripStoreId = storeId !== undefined ? storeId : list.activeTrip?.storeId ?? null;
+    const trip = {
+      listId,
+      listName: list.name,
+      ownerId: list.ownerId,
+      storeId: tripStoreId,
+      // Stored by name too, so history still reads well after a store is deleted
+      storeName: stores.find((s) => s.id === tripStoreId)?.name ?? null,
+      startedAt: list.activeTrip?.startedAt ?? null,
+      items: checked.map((item) => ({
+        name: item.name,
+        category: item.category ?? null,
+        quantity: item.quantity ?? null,
+        unit: item.unit ?? null,
+        store: item.store ?? null,
+        aisle: item.aisle ?? null,
+        price: item.price ?? null,
+        pricePerUnit: item.pricePerUnit ?? false,
+        checkedAt: item.checkedAt ?? null,
+      })),
+    };
+    if (moveToPantry) addPantryItemsAction(toPantryItems(checked));
+    trackWrite(finishTrip(userId, list.ownerId, listId, trip, checked.map((i) => i.id)));
+  }, [userId, activeListId, activeItems, stores, getList, addPantryItemsAction]);
 
-  const updateItemAction = useCallback(async (listId, itemId, updates) => {
+  const deleteTripAction = useCallback((tripId) => {
     if (!userId) return;
-    await fsUpdateItem(userId, listId, itemId, updates);
+    trackWrite(fsDeleteTrip(userId, tripId));
   }, [userId]);
 
-  const clearCheckedAction = useCallback(async (listId) => {
-    if (!userId) return;
-    const checkedIds = activeItems.filter((i) => i.isChecked).map((i) => i.id);
-    if (checkedIds.length === 0) return;
-    await clearCheckedItems(userId, listId, checkedIds);
-  }, [userId, activeItems]);
-
-  const addCustomCategoryAction = useCallback(async (name, color, keywords) => {
+  const addCustomCategoryAction = useCallback((name, color, keywords, key = createCustomCategoryKey()) => {
     if (!userId) return;
-    const key = `custom_${Date.now()}`;
-    await createCustomCategory(userId, {
+    trackWrite(createCustomCategory(userId, {
       key,
       name,
       color,
       keywords: keywords ?? [],
       order: customCategories.length,
-    });
+    }));
   }, [userId, customCategories.length]);
 
-  const updateCustomCategoryAction = useCallback(async (id, updates) => {
+  const updateCustomCategoryAction = useCallback((id, updates) => {
     if (!userId) return;
-    await fsUpdateCustomCategory(userId, id, updates);
+    trackWrite(fsUpdateCustomCategory(userId, id, updates));
   }, [userId]);
 
-  const deleteCustomCategoryAction = useCallback(async (id) => {
+  const deleteCustomCategoryAction = useCallback((id) => {
     if (!userId) return;
-    await fsDeleteCustomCategory(userId, id);
+    trackWrite(fsDeleteCustomCategory(userId, id));
   }, [userId]);
 
-  const reorderCustomCategoriesAction = useCallback(async (categories) => {
+  const reorderCustomCategoriesAction = useCallback((categories) => {
     if (!userId) return;
     setCustomCategories(categories); // optimistic update for smooth drag
-    await saveCustomCategoryOrder(userId, categories);
+    trackWrite(saveCustomCategoryOrder(userId, categories));
+  }, [userId]);
+
+  /**
+   * Works out which items in the user's editable lists would move to another
+   * category if a custom category change were saved. Reads every list once.
+   * @param {Object} change - See applyCategoryChange
+   * @returns {Promise<Array<Object>>} The moves (see planCategoryMoves)
+   */
+  const previewCategoryChangeAction = useCallback(async (change) => {
+    if (!userId) return [];
+    const editableLists = lists.filter((list) => canEditList(list, userId));
+    const listItems = await Promise.all(editableLists.map(async (list) => ({
+      list,
+      items: await getListItems(list.ownerId, list.id),
+    })));
+    const { categories, deletedKey } = applyCategoryChange(customCategories, change);
+    return planCategoryMoves(listItems, customCategories, categories, learnedCategories, deletedKey);
+  }, [userId, lists, customCategories, learnedCategories]);
+
+  /**
+   * Saves a custom category change and moves the given items (usually the
+   * previewed ones) to their new categories.
+   */
+  const saveCategoryChangeAction = useCallback((change, moves = []) => {
+    if (!userId) return;
+    if (change.type === 'add') {
+      const { name, color, keywords, key } = change.category;
+      addCustomCategoryAction(name, color, keywords, key);
+    } else if (change.type === 'update') {
+      updateCustomCategoryAction(change.id, change.updates);
+    } else if (change.type === 'delete') {
+      deleteCustomCategoryAction(change.id);
+    } else if (change.type === 'import') {
+      const creates = change.creates.map((cat, index) => ({ ...cat, order: customCategories.length + index }));
+      trackWrite(importCustomCategories(userId, creates, change.categoryUpdates));
+    }
+    if (moves.length === 0) return;
+    trackWrite(updateItemsAcrossLists(moves.map((move) => ({
+      ownerId: move.ownerId,
+      listId: move.listId,
+      itemId: move.itemId,
+      updates: { category: move.to, categoryConfidence: move.confidence },
+    }))));
+  }, [userId, customCategories.length, addCustomCategoryAction, updateCustomCategoryAction, deleteCustomCategoryAction]);
+
+  /** Renames or recolors a built-in category. */
+  const updateBuiltInCategoryAction = useCallback((key, { label, color }) => {
+    if (!userId) return;
+    trackWrite(updateCategorySettings(userId, {
+      labels: { [key]: label },
+      colors: { [key]: color },
+    }));
+  }, [userId]);
+
+  /** Hides or shows a built-in category. "Other" is the fallback and can't be hidden. */
+  const setCategoryHiddenAction = useCallback((key, isHidden) => {
+    if (!userId || key === CATEGORIES.OTHER) return;
+    trackWrite(setCategoryHidden(userId, key, isHidden));
+  }, [userId]);
+
+  /**
+   * Saves the order of all categories, built-in and custom. Custom categories
+   * keep their own order field in step so new lists of them sort the same.
+   * @param {Array<string>} keys - Every category key in the new order
+   */
+  const reorderCategoriesAction = useCallback((keys) => {
+    if (!userId) return;
+    trackWrite(updateCategorySettings(userId, { order: keys }));
+    const reorderedCustom = keys
+      .map((key) => customCategories.find((cat) => cat.key === key))
+      .filter(Boolean);
+    if (reorderedCustom.some((cat, index) => cat.id !== customCategories[index].id)) {
+      reorderCustomCategoriesAction(reorderedCustom);
+    }
+  }, [userId, customCategories, reorderCustomCategoriesAction]);
+
+  const resetCategorySettingsAction = useCallback(() => {
+    if (!userId) return;
+    trackWrite(resetCategorySettings(userId));
+  }, [userId]);
+
+  /** Stops suggesting an item on one list until it's added again. */
+  const dismissSuggestionAction = useCallback((listId, name) => {
+    if (!userId) return;
+    trackWrite(dismissSuggestion(userId, feedbackKey(name), name, listId));
+  }, [userId]);
+
+  /** Stops suggesting an item on any list for a number of days. */
+  const snoozeSuggestionAction = useCallback((name, days) => {
+    if (!userId) return;
+    trackWrite(snoozeSuggestion(userId, feedbackKey(name), name, new Date(Date.now() + days * MS_PER_DAY)));
+  }, [userId]);
+
+  const neverSuggestAction = useCallback((name) => {
+    if (!userId) return;
+    trackWrite(neverSuggest(userId, feedbackKey(name), name));
+  }, [userId]);
+
+  const restoreSuggestionAction = useCallback((name) => {
+    if (!userId) return;
+    trackWrite(restoreSuggestion(userId, feedbackKey(name)));
   }, [userId]);
 
-  const addStoreAction = useCallback(async (name, color) => {
+  const addStoreAction = useCallback((name, color) => {
     if (!userId) return;
-    await fsCreateStore(userId, {
+    trackWrite(fsCreateStore(userId, {
       name,
       color,
       aisles: [],
       order: stores.length,
-    });
+    }));
   }, [userId, stores.length]);
 
-  const updateStoreAction = useCallback(async (id, updates) => {
+  const updateStoreAction = useCallback((id, updates) => {
     if (!userId) return;
-    await fsUpdateStore(userId, id, updates);
+    trackWrite(fsUpdateStore(userId, id, updates));
   }, [userId]);
 
-  const deleteStoreAction = useCallback(async (id) => {
+  const deleteStoreAction = useCallback((id) => {
     if (!userId) return;
-    await fsDeleteStore(userId, id);
+    trackWrite(fsDeleteStore(userId, id));
   }, [userId]);
 
-  const reorderStoresAction = useCallback(async (reorderedStores) => {
+  const reorderStoresAction = useCallback((reorderedStores) => {
     if (!userId) return;
     setStores(reorderedStores); // optimistic update
-    await saveStoreOrder(userId, reorderedStores);
+    trackWrite(saveStoreOrder(userId, reorderedStores));
+  }, [userId]);
+
+  /** Saves a recipe: `{name, description, tags, servings, ingredients}`. */
+  const createRecipeAction = useCallback((recipe) => {
+    if (!userId) return;
+    trackWrite(fsCreateRecipe(userId, recipe));
+  }, [userId]);
+
+  const updateRecipeAction = useCallback((id, updates) => {
+    if (!userId) return;
+    trackWrite(fsUpdateRecipe(userId, id, updates));
+  }, [userId]);
+
+  const deleteRecipeAction = useCallback((id) => {
+    if (!userId) return;
+    trackWrite(fsDeleteRecipe(userId, id));
+  }, [userId]);
+
+  const updatePantryItemAction = useCallback((id, updates) => {
+    if (!userId) return;
+    trackWrite(fsUpdatePantryItem(userId, id, updates));
+  }, [userId]);
+
+  const removePantryItemAction = useCallback((id) => {
+    if (!userId) return;
+    trackWrite(fsDeletePantryItem(userId, id));
   }, [userId]);
 
   // -----------------------------------------------------------------------
@@ -266,28 +609,62 @@ export const ShoppingListProvider = ({ children }) => {
     activeListId,
     history,
     customCategories,
+    categorySettings,
+    learnedCategories,
+    suggestionFeedback,
+    recipes,
+    pantry,
     stores,
+    trips,
+    prices,
   };
 
   const actions = {
     createList: createListAction,
     renameList: renameListAction,
     deleteList: deleteListAction,
+    setListBudget: setListBudgetAction,
     selectList: selectListAction,
+    createInvite: createInviteAction,
+    joinList: joinListAction,
+    removeMember: removeMemberAction,
     addItem: addItemAction,
     addItems: addItemsAction,
     toggleItem: toggleItemAction,
     removeItem: removeItemAction,
     updateItem: updateItemAction,
+    updateItems: updateItemsAction,
+    recategorizeItem: recategorizeItemAction,
     clearChecked: clearCheckedAction,
+    setItemPrice: setItemPriceAction,
+    startTrip: startTripAction,
+    cancelTrip: cancelTripAction,
+    finishTrip: finishTripAction,
+    deleteTrip: deleteTripAction,
     addCustomCategory: addCustomCategoryAction,
     updateCustomCategory: updateCustomCategoryAction,
     deleteCustomCategory: deleteCustomCategoryAction,
     reorderCustomCategories: reorderCustomCategoriesAction,
+    previewCategoryChange: previewCategoryChangeAction,
+    saveCategoryChange: saveCategoryChangeAction,
+    updateBuiltInCategory: updateBuiltInCategoryAction,
+    setCategoryHidden: setCategoryHiddenAction,
+    reorderCategories: reorderCategoriesAction,
+    resetCategorySettings: resetCategorySettingsAction,
+    dismissSuggestion: dismissSuggestionAction,
+    snoozeSuggestion: snoozeSuggestionAction,
+    neverSuggest: neverSuggestAction,
+    restoreSuggestion: restoreSuggestionAction,
     addStore: addStoreAction,
     updateStore: updateStoreAction,
     deleteStore: deleteStoreAction,
     reorderStores: reorderStoresAction,
+    createRecipe: createRecipeAction,
+    updateRecipe: updateRecipeAction,
+    deleteRecipe: deleteRecipeAction,
+    addPantryItems: addPantryItemsAction,
+    updatePantryItem: updatePantryItemAction,
+    removePantryItem: removePantryItemAction,
   };
 
   // Build activeList object matching old shape (list + its items)
@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react';
+import { isUpdateReady, subscribeUpdateReady, applyUpdate } from '../services/serviceWorker.js';
+
+/**
+ * Hook to learn when a new app version is ready.
+ * @returns {{ updateReady: boolean, applyUpdate: Function }}
+ */
+export const useServiceWorkerUpdate = () => {
+  const updateReady = useSyncExternalStore(subscribeUpdateReady, isUpdateReady);
+  return { updateReady, applyUpdate };
+};
@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react';
+import { getSyncStatus, subscribeSyncStatus } from '../services/sync.js';
+
+/**
+ * Hook to read connectivity and the number of writes waiting to sync.
+ * @returns {{ isOnline: boolean, pendingWrites: number }}
+ */
+export const useSyncStatus = () => useSyncExternalStore(subscribeSyncStatus, getSyncStatus);
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react';
+
+const EMPTY = [];
+
+/**
+ * Subscribes to per-user Firestore data and returns its latest value.
+ * Data from a previous user is never returned, so nothing needs resetting on
+ * sign-out.
+ * @param {string|null} userId
+ * @param {Function} subscribe - e.g. subscribeTrips(userId, callback), returning an unsubscribe function
+ * @param {*} [initialData=[]] - Returned while signed out or loading; must be a stable value
+ * @returns {*} The latest snapshot data, or initialData while signed out or loading
+ */
+export const useUserSubscription = (userId, subscribe, initialData = EMPTY) => {
+  const [snapshot, setSnapshot] = useState({ userId: null, data: initialData });
+
+  useEffect(() => {
+    if (!userId) return;
+    return subscribe(userId, (data) => setSnapshot({ userId, data }));
+  }, [userId, subscribe]);
+
+  return snapshot.userId === userId ? snapshot.data : initialData;
+};
@@ -0,0 +1,37 @@
+import { useEffect } from 'react';
+
+/**
+ * Keeps the screen awake while `isActive` is true, using the Wake Lock API
+ * where the browser supports it. The lock is dropped by the browser whenever
+ * the page is hidden, so it is re-requested when the page becomes visible.
+ * @param {boolean} isActive
+ */
+export const useWakeLock = (isActive) => {
+  useEffect(() => {
+    if (!isActive || !('wakeLock' in navigator)) return;
+
+    let sentinel = null;
+    let isCancelled = false;
+
+    const request = () => {
+      navigator.wakeLock.request('screen')
+        .then((lock) => {
+          if (isCancelled) lock.release();
+          else sentinel = lock;
+        })
+        .catch(() => {}); // e.g. battery saver; the screen just may sleep
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') request();
+    };
+
+    request();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      isCancelled = true;
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      sentinel?.release().catch(() => {});
+    };
+  }, [isActive]);
+};
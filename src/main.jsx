@@ -3,13 +3,18 @@ import { createRoot } from 'react-dom/client';
 import { AuthProvider } from './context/AuthContext.jsx';
 import { ShoppingListProvider } from './context/ShoppingListContext.jsx';
 import { App } from './App.jsx';
+import { UpdatePrompt } from './components/UpdatePrompt.jsx';
+import { registerServiceWorker } from './services/serviceWorker.js';
 import './index.css';
 
+registerServiceWorker();
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <AuthProvider>
       <ShoppingListProvider>
         <App />
+        <UpdatePrompt />
       </ShoppingListProvider>
     </AuthProvider>
   </StrictMode>,
@@ -0,0 +1,120 @@
+/**
+ * Ingredient aggregation - combines incoming recipe items with each other and
+ * with items already on the active list before anything is written.
+ * Produces a plan describing which items will be added, which existing items
+ * will have their quantity bumped, and which will be skipped.
+ */
+
+import { addQuantities } from '../utils/units.js';
+import { checkPantry } from './pantry.js';
+
+const nameKey = (name) => name.trim().toLowerCase();
+
+const hasAmount = (item) => item.quantity != null || item.unit != null;
+
+/**
+ * Combines two amounts of the same ingredient.
+ * Two items without any amount stay amount-less ("garlic" + "garlic" is still
+ * just "garlic"), and an amount-less item takes the other's amount ("onion" +
+ * "2 onions" is 2 onions); otherwise quantities are summed when the units are
+ * compatible.
+ * @returns {{quantity: number|null, unit: string|null}|null} null if the units can't be combined
+ */
+const combineAmounts = (a, b) => {
+  if (!hasAmount(a) || !hasAmount(b)) {
+    const withAmount = hasAmount(a) ? a : b;
+    return { quantity: withAmount.quantity ?? null, unit: withAmount.unit ?? null };
+  }
+  return addQuantities(a, b);
+};
+
+/** Combines two items' notes, leaving out repeats ("minced; sliced"). */
+const combineNotes = (a, b) => {
+  const notes = [a, b].filter(Boolean);
+  return notes.length === 2 && notes[0] !== notes[1] ? notes.join('; ') : notes[0] ?? null;
+};
+
+/**
+ * Merges incoming items that share a name. Items whose units can't be combined
+ * (e.g. "1 can" and "200 g" of tomatoes) are kept as separate entries.
+ * @param {Array<Object>} incoming - Items with name, quantity, unit and optional source
+ * @returns {Array<Object>} Merged items, each with a `sources` array
+ */
+const mergeIncoming = (incoming) => {
+  const merged = [];
+  for (const item of incoming) {
+    const source = item.source ?? null;
+    const match = merged.find((m) => nameKey(m.name) === nameKey(item.name)
+      && combineAmounts(m, item) !== null);
+    if (match) {
+      const amount = combineAmounts(match, item);
+      match.quantity = amount.quantity;
+      match.unit = amount.unit;
+      match.notes = combineNotes(match.notes, item.notes);
+      if (source && !match.sources.includes(source)) match.sources.push(source);
+    } else {
+      merged.push({
+        ...item,
+        quantity: item.quantity ?? null,
+        unit: item.unit ?? null,
+        sources: source ? [source] : [],
+      });
+    }
+  }
+  return merged;
+};
+
+/**
+ * Builds an aggregation plan for adding items to a list.
+ * - Incoming items with the same name are combined first, then checked against
+ *   the pantry: items carry a `pantry` field when found there, and only the
+ *   missing amount is kept when the pantry holds less than needed.
+ * - If an unchecked item with the same name is already on the list:
+ *   - and the incoming item has no amount, it is skipped;
+ *   - if the existing item has no amount, it takes the incoming amount;
+ *   - otherwise the amounts are summed into the existing item when compatible.
+ * - Everything else is added as a new item.
+ * @param {Array<Object>} incoming - Items to add ({name, quantity, unit, category, source})
+ * @param {Array<Object>} existingItems - Items currently on the list
+ * @param {Array<Object>} [pantry] - Items already at home
+ * @returns {{
+ *   added: Array<Object>,
+ *   merged: Array<{existing: Object, incoming: Object, quantity: number|null, unit: string|null}>,
+ *   skipped: Array<{existing: Object, incoming: Object}>
+ * }}
+ */
+export const aggregateItems = (incoming, existingItems, pantry = []) => {
+  const unchecked = existingItems.filter((i) => !i.isChecked);
+  const plan = { added: [], merged: [], skipped: [] };
+
+  for (const item of checkPantry(mergeIncoming(incoming), pantry)) {
+    const existing = unchecked.find((i) => nameKey(i.name) === nameKey(item.name));
+    if (!existing) {
+      plan.added.push(item);
+      continue;
+    }
+    if (!hasAmount(item)) {
+      plan.skipped.push({ existing, incoming: item });
+      continue;
+    }
+    // An earlier incoming entry may already be merging into this item
+    const pending = plan.merged.find((m) => m.existing.id === existing.id);
+    if (!pending && !hasAmount(existing)) {
+      // "Ground beef" on the list just takes the recipe's "1 lb"
+      plan.merged.push({ existing, incoming: item, quantity: item.quantity, unit: item.unit });
+      continue;
+    }
+    const base = pending ?? existing;
+    const amount = addQuantities(base, item);
+    if (!amount) {
+      plan.added.push(item);
+    } else if (pending) {
+      pending.quantity = amount.quantity;
+      pending.unit = amount.unit;
+    } else {
+      plan.merged.push({ existing, incoming: item, ...amount });
+    }
+  }
+
+  return plan;
+};
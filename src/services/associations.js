@@ -0,0 +1,203 @@
+/**
+ * Co-purchase mining - learns which items are bought together from the
+ * user's own baskets and turns that into association rules ("people with
+ * tortillas on their list usually want salsa too").
+ * Baskets come from finished shopping trips and from items added to the same
+ * list within a few days of each other. A small table of common pairings acts
+ * as a prior, so there are suggestions before any history exists; the more
+ * baskets contradict a pairing, the less it counts.
+ */
+
+import { normalizeForMatching } from '../utils/normalize.js';
+import { MS_PER_DAY, toDate } from '../utils/dates.js';
+
+/**
+ * Common item pairings, used before there is enough history.
+ * Each pair is bidirectional.
+ */
+const ITEM_PAIRINGS = [
+  ['bread', 'butter'],
+  ['pasta', 'tomato sauce'],
+  ['chips', 'salsa'],
+  ['hamburger buns', 'ground beef'],
+  ['hot dog buns', 'hot dogs'],
+  ['cereal', 'milk'],
+  ['peanut butter', 'jelly'],
+  ['eggs', 'bacon'],
+  ['lettuce', 'tomatoes'],
+  ['tortillas', 'cheese'],
+  ['rice', 'beans'],
+  ['spaghetti', 'parmesan'],
+  ['coffee', 'cream'],
+  ['crackers', 'cheese'],
+  ['avocado', 'lime'],
+  ['chicken', 'rice'],
+  ['salmon', 'lemon'],
+  ['steak', 'potatoes'],
+];
+
+/** Items added to a list within this many days of the first count as one basket. */
+const BASKET_WINDOW_DAYS = 3;
+
+/** Minimum number of baskets a pair must share to become a rule on its own. */
+const MIN_SUPPORT = 3;
+
+/** Minimum share of baskets with the first item that also have the second. */
+const MIN_CONFIDENCE = 0.5;
+
+/**
+ * A static pairing counts as this many baskets with both items out of
+ * PRIOR_BASKETS with the first one.
+ */
+const PRIOR_TOGETHER = 2;
+const PRIOR_BASKETS = 3;
+
+/** Key used to match items across baskets: "Tortilla" and "tortillas" are the same. */
+const itemKey = (name) => normalizeForMatching(name);
+
+/**
+ * Groups the user's data into baskets of items bought together.
+ * Each finished trip is a basket. Items added to a list also form baskets
+ * (split when more than BASKET_WINDOW_DAYS pass), unless a trip on that list
+ * already covers them, so the same purchase isn't counted twice.
+ * @param {Array<Object>} trips - Finished trips, each with `items`
+ * @param {Array<{name: string, listId?: string, addedAt: *}>} history - Added items
+ * @returns {Array<Map<string, string>>} Baskets of item key -> display name
+ */
+export const buildBaskets = (trips, history) => {
+  const toBasket = (names) => {
+    const basket = new Map();
+    for (const name of names) {
+      const key = itemKey(name);
+      if (key) basket.set(key, name);
+    }
+    return basket;
+  };
+
+  const baskets = trips.map((trip) => toBasket(trip.items.map((item) => item.name)));
+
+  // History entries from before lists were recorded can't be grouped
+  const byList = new Map();
+  for (const entry of history) {
+    const addedAt = toDate(entry.addedAt);
+    if (!entry.listId || !addedAt) continue;
+    if (!byList.has(entry.listId)) byList.set(entry.listId, []);
+    byList.get(entry.listId).push({ name: entry.name, time: addedAt.getTime() });
+  }
+
+  const windowMs = BASKET_WINDOW_DAYS * MS_PER_DAY;
+  for (const [listId, entries] of byList) {
+    entries.sort((a, b) => a.time - b.time);
+    const tripTimes = trips
+      .filter((trip) => trip.listId === listId)
+      .map((trip) => toDate(trip.finishedAt)?.getTime())
+      .filter((time) => time != null);
+
+    let session = null;
+    const closeSession = () => {
+      const end = session.end + windowMs;
+      if (!tripTimes.some((time) => time >= session.start && time <= end)) {
+        baskets.push(toBasket(session.names));
+      }
+    };
+    for (const entry of entries) {
+      if (session && entry.time - session.start <= windowMs) {
+        session.names.push(entry.name);
+        session.end = entry.time;
+      } else {
+        if (session) closeSession();
+        session = { start: entry.time, end: entry.time, names: [entry.name] };
+      }
+    }
+    if (session) closeSession();
+  }
+
+  return baskets.filter((basket) => basket.size > 1);
+};
+
+/**
+ * Mines association rules from baskets, blended with the static pairings.
+ * @param {Array<Map<string, string>>} baskets - From buildBaskets
+ * @returns {Map<string, Array<{
+ *   key: string,
+ *   name: string,
+ *   together: number,
+ *   baskets: number,
+ *   confidence: number
+ * }>>} For each item key, the items to suggest with it, most confident first.
+ *   `together` of `baskets` is how often the pair was actually bought together
+ */
+export const buildAssociationRules = (baskets) => {
+  const itemCounts = new Map();
+  const pairCounts = new Map(); // "a\tb" -> count, for both orders
+  const names = new Map();
+
+  for (const basket of baskets) {
+    const keys = [...basket.keys()];
+    for (const key of keys) {
+      itemCounts.set(key, (itemCounts.get(key) ?? 0) + 1);
+      names.set(key, basket.get(key));
+    }
+    for (const a of keys) {
+      for (const b of keys) {
+        if (a === b) continue;
+        const pair = `${a}\t${b}`;
+        pairCounts.set(pair, (pairCounts.get(pair) ?? 0) + 1);
+      }
+    }
+  }
+
+  const priorPairs = new Set();
+  for (const [a, b] of ITEM_PAIRINGS) {
+    const keyA = itemKey(a);
+    const keyB = itemKey(b);
+    priorPairs.add(`${keyA}\t${keyB}`).add(`${keyB}\t${keyA}`);
+    if (!names.has(keyA)) names.set(keyA, a);
+    if (!names.has(keyB)) names.set(keyB, b);
+  }
+
+  const rules = new Map();
+  for (const pair of new Set([...pairCounts.keys(), ...priorPairs])) {
+    const [a, b] = pair.split('\t');
+    const together = pairCounts.get(pair) ?? 0;
+    const count = itemCounts.get(a) ?? 0;
+    const isPrior = priorPairs.has(pair);
+    const confidence = isPrior
+      ? (together + PRIOR_TOGETHER) / (count + PRIOR_BASKETS)
+      : together / count;
+    if (confidence < MIN_CONFIDENCE || (!isPrior && together < MIN_SUPPORT)) continue;
+    if (!rules.has(a)) rules.set(a, []);
+    rules.get(a).push({ key: b, name: names.get(b), together, baskets: count, confidence });
+  }
+
+  for (const consequents of rules.values()) {
+    consequents.sort((x, y) => y.confidence - x.confidence || y.together - x.together);
+  }
+  return rules;
+};
+
+/**
+ * Items that go with what is already on the list, most confident first.
+ * @param {Map} rules - From buildAssociationRules
+ * @param {Array<{name: string}>} currentItems - Items currently in the list
+ * @returns {Array<{name: string, reason: string, confidence: number}>}
+ */
+export const getAssociatedItems = (rules, currentItems) => {
+  const current = new Map(currentItems.map((item) => [itemKey(item.name), item.name]));
+  const best = new Map();
+  for (const [key, name] of current) {
+    for (const rule of rules.get(key) ?? []) {
+      if (current.has(rule.key)) continue;
+      const existing = best.get(rule.key);
+      if (existing && existing.confidence >= rule.confidence) continue;
+      best.set(rule.key, {
+        name: rule.name,
+        reason: rule.together > 0
+          ? `Bought with ${name} ${rule.together} of ${rule.baskets} times`
+          : 'Often bought together',
+        confidence: rule.confidence,
+      });
+    }
+  }
+  return [...best.values()].sort((a, b) => b.confidence - a.confidence);
+};
@@ -0,0 +1,94 @@
+/**
+ * Category changes - works out which existing items move when custom
+ * categories are created, edited, deleted or imported.
+ * Only items still in the category the old rules gave them are moved, so
+ * items someone placed by hand stay where they were put. Items in a deleted
+ * category always move, to wherever the new rules send them.
+ */
+
+import { categorizeItem, categorizeItemWithConfidence } from '../utils/categories.js';
+
+/**
+ * Applies a pending change to the custom category list.
+ * @param {Array} customCategories - Current custom categories
+ * @param {{
+ *   type: 'add'|'update'|'delete'|'import',
+ *   id?: string,
+ *   category?: Object,
+ *   updates?: Object,
+ *   creates?: Array<Object>,
+ *   categoryUpdates?: Array<{id: string, updates: Object}>
+ * }} change - An import carries the creates and categoryUpdates of planCategoryImport
+ * @returns {{categories: Array, deletedKey: string|null}} The categories after the change
+ */
+export const applyCategoryChange = (customCategories, change) => {
+  switch (change.type) {
+    case 'add':
+      return { categories: [...customCategories, change.category], deletedKey: null };
+    case 'update':
+      return {
+        categories: customCategories.map((cat) => (cat.id === change.id ? { ...cat, ...change.updates } : cat)),
+        deletedKey: null,
+      };
+    case 'delete':
+      return {
+        categories: customCategories.filter((cat) => cat.id !== change.id),
+        deletedKey: customCategories.find((cat) => cat.id === change.id)?.key ?? null,
+      };
+    case 'import':
+      return {
+        categories: [
+          ...customCategories.map((cat) => {
+            const update = change.categoryUpdates.find((u) => u.id === cat.id);
+            return update ? { ...cat, ...update.updates } : cat;
+          }),
+          ...change.creates,
+        ],
+        deletedKey: null,
+      };
+    default:
+      throw new Error(`Unknown category change: ${change.type}`);
+  }
+};
+
+/**
+ * Lists the items that would change category.
+ * @param {Array<{list: Object, items: Array<Object>}>} listItems - Items of every list to check
+ * @param {Array} before - Custom categories before the change
+ * @param {Array} after - Custom categories after the change
+ * @param {Object|null} learned - Learned state from buildCategoryLearning
+ * @param {string|null} [deletedKey=null] - Key of a category being deleted
+ * @returns {Array<{
+ *   ownerId: string,
+ *   listId: string,
+ *   listName: string,
+ *   itemId: string,
+ *   itemName: string,
+ *   from: string,
+ *   to: string,
+ *   confidence: number
+ * }>}
+ */
+export const planCategoryMoves = (listItems, before, after, learned, deletedKey = null) => {
+  const moves = [];
+  for (const { list, items } of listItems) {
+    for (const item of items) {
+      const isOrphaned = deletedKey != null && item.category === deletedKey;
+      const wasAutomatic = item.category === categorizeItem(item.name, before, learned);
+      if (!isOrphaned && !wasAutomatic) continue;
+      const next = categorizeItemWithConfidence(item.name, after, learned);
+      if (next.category === item.category) continue;
+      moves.push({
+        ownerId: list.ownerId,
+        listId: list.id,
+        listName: list.name,
+        itemId: item.id,
+        itemName: item.name,
+        from: item.category,
+        to: next.category,
+        confidence: next.confidence,
+      });
+    }
+  }
+  return moves;
+};
@@ -0,0 +1,112 @@
+/**
+ * Learned categorization - learns from the user's manual recategorizations.
+ * Each correction is kept as an override (item name -> category) and also
+ * trains a small naive Bayes classifier over name tokens, so "oat milk" fixed
+ * to Dairy also teaches that "oat" leans Dairy for "oat creamer".
+ * The built-in keyword map is folded in as background knowledge, so a single
+ * correction doesn't drag unrelated words along with it.
+ */
+
+import { KEYWORD_MAP } from '../utils/categories.js';
+
+/** Corrections count this many times more than a built-in keyword. */
+const CORRECTION_WEIGHT = 3;
+
+/** Additive smoothing for unseen tokens; kept small since there is little data. */
+const SMOOTHING = 0.1;
+
+/** Minimum probability for the classifier's guess to be used. */
+const MIN_CONFIDENCE = 0.7;
+
+/** Normalizes an item name for override lookups. */
+export const normalizeItemName = (name) => name.toLowerCase().trim().replace(/\s+/g, ' ');
+
+/** Splits a name into lowercase word tokens, ignoring numbers and single letters. */
+const tokenize = (name) => normalizeItemName(name)
+  .split(/[^a-z]+/)
+  .filter((token) => token.length > 1);
+
+/**
+ * Trains token counts per category.
+ * @param {Array<{name: string, category: string, weight: number}>} examples
+ */
+const train = (examples) => {
+  const tokenCounts = {}; // category -> token -> weighted count
+  const tokenTotals = {}; // category -> total weighted tokens
+  const docTotals = {}; // category -> total weighted examples
+  const vocabulary = new Set();
+
+  for (const { name, category, weight } of examples) {
+    const tokens = tokenize(name);
+    if (tokens.length === 0) continue;
+    tokenCounts[category] ??= {};
+    docTotals[category] = (docTotals[category] ?? 0) + weight;
+    for (const token of tokens) {
+      tokenCounts[category][token] = (tokenCounts[category][token] ?? 0) + weight;
+      tokenTotals[category] = (tokenTotals[category] ?? 0) + weight;
+      vocabulary.add(token);
+    }
+  }
+
+  const docCount = Object.values(docTotals).reduce((sum, n) => sum + n, 0);
+  return { tokenCounts, tokenTotals, docTotals, docCount, vocabulary };
+};
+
+/**
+ * Scores every category for a set of tokens (multinomial naive Bayes with
+ * additive smoothing) and returns the most likely one with its probability.
+ */
+const predict = (model, tokens) => {
+  const { tokenCounts, tokenTotals, docTotals, docCount, vocabulary } = model;
+  const logScores = Object.keys(docTotals).map((category) => {
+    let score = Math.log(docTotals[category] / docCount);
+    for (const token of tokens) {
+      const count = tokenCounts[category][token] ?? 0;
+      score += Math.log((count + SMOOTHING) / (tokenTotals[category] + SMOOTHING * vocabulary.size));
+    }
+    return { category, score };
+  });
+
+  // Softmax over log scores to get a probability for the best category
+  const max = Math.max(...logScores.map((s) => s.score));
+  const total = logScores.reduce((sum, s) => sum + Math.exp(s.score - max), 0);
+  const best = logScores.reduce((a, b) => (b.score > a.score ? b : a));
+  return { category: best.category, confidence: 1 / total };
+};
+
+/**
+ * Builds the learned categorization state from the user's corrections.
+ * @param {Array<{name: string, category: string}>} corrections - Saved recategorizations
+ * @returns {{
+ *   overrides: Map<string, string>,
+ *   classify: (name: string) => ({category: string, confidence: number}|null)
+ * }} `classify` returns null unless the name shares a word with a correction
+ *   and the guess is confident enough
+ */
+export const buildCategoryLearning = (corrections) => {
+  const overrides = new Map();
+  const correctedTokens = new Set();
+  for (const { name, category } of corrections) {
+    overrides.set(normalizeItemName(name), category);
+    tokenize(name).forEach((token) => correctedTokens.add(token));
+  }
+
+  const model = corrections.length > 0
+    ? train([
+      ...Object.entries(KEYWORD_MAP).map(([name, category]) => ({ name, category, weight: 1 })),
+      ...corrections.map(({ name, category }) => ({ name, category, weight: CORRECTION_WEIGHT })),
+    ])
+    : null;
+
+  const classify = (name) => {
+    if (!model) return null;
+    const tokens = tokenize(name).filter((token) => model.vocabulary.has(token));
+    // Only speak up when the user's corrections are involved; otherwise the
+    // keyword map already gives the same answer
+    if (!tokens.some((token) => correctedTokens.has(token))) return null;
+    const guess = predict(model, tokens);
+    return guess.confidence >= MIN_CONFIDENCE ? guess : null;
+  };
+
+  return { overrides, classify };
+};
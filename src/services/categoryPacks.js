@@ -0,0 +1,171 @@
+/**
+ * Category packs - custom categories exported to a versioned JSON file so
+ * they can be shared with another household and imported there.
+ * Importing merges into the categories already there, resolving categories
+ * with the same name and keywords claimed by more than one category.
+ */
+
+import { createCustomCategoryKey } from '../utils/categories.js';
+import { normalizeForMatching } from '../utils/normalize.js';
+
+export const CATEGORY_PACK_FORMAT = 'shoppinglistai-category-pack';
+
+/** Current pack version. Older versions are upgraded in parseCategoryPack. */
+export const CATEGORY_PACK_VERSION = 1;
+
+const DEFAULT_COLOR = '#607d8b';
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/** How to handle an imported category with the same name as an existing one. */
+export const DUPLICATE_NAME_STRATEGIES = {
+  MERGE: 'merge', // add its keywords to the existing category
+  RENAME: 'rename', // import it as "Name (2)"
+  SKIP: 'skip', // leave it out
+};
+
+/** How to handle an imported keyword that another category already has. */
+export const KEYWORD_CONFLICT_STRATEGIES = {
+  KEEP: 'keep', // the keyword stays where it is
+  MOVE: 'move', // the keyword moves to the imported category
+};
+
+const sameText = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Compares keywords the way categorization matches them, so "Chips" and "chip"
+ * are the same keyword. Keywords with nothing left to match fall back to text.
+ */
+const sameKeyword = (a, b) => {
+  const normalized = normalizeForMatching(a);
+  return normalized ? normalized === normalizeForMatching(b) : sameText(a, b);
+};
+
+/** Builds a pack from the user's custom categories, in their current order. */
+export const buildCategoryPack = (customCategories) => ({
+  format: CATEGORY_PACK_FORMAT,
+  version: CATEGORY_PACK_VERSION,
+  exportedAt: new Date().toISOString(),
+  categories: customCategories.map((cat, index) => ({
+    name: cat.name,
+    color: cat.color,
+    keywords: [...cat.keywords],
+    order: index,
+  })),
+});
+
+/**
+ * Reads a pack file's text into a list of categories.
+ * Invalid entries are dropped and missing colors defaulted; keywords are
+ * trimmed and de-duplicated.
+ * @param {string} text - Contents of the pack file
+ * @returns {Array<{name: string, color: string, keywords: Array<string>}>} In pack order
+ * @throws {Error} If the file isn't a pack this version of the app can read
+ */
+export const parseCategoryPack = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not valid JSON.');
+  }
+  if (data?.format !== CATEGORY_PACK_FORMAT || !Array.isArray(data.categories)) {
+    throw new Error('This file is not a category pack.');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('This category pack has no valid version.');
+  }
+  if (data.version > CATEGORY_PACK_VERSION) {
+    throw new Error('This category pack was made by a newer version of the app.');
+  }
+
+  return data.categories
+    .map((cat, index) => ({ cat, order: Number.isFinite(cat?.order) ? cat.order : index }))
+    .filter(({ cat }) => typeof cat?.name === 'string' && cat.name.trim())
+    .sort((a, b) => a.order - b.order)
+    .map(({ cat }) => {
+      const keywords = [];
+      for (const keyword of Array.isArray(cat.keywords) ? cat.keywords : []) {
+        if (typeof keyword !== 'string' || !keyword.trim()) continue;
+        if (!keywords.some((k) => sameKeyword(k, keyword))) keywords.push(keyword.trim());
+      }
+      return {
+        name: cat.name.trim(),
+        color: HEX_COLOR.test(cat.color) ? cat.color : DEFAULT_COLOR,
+        keywords,
+      };
+    });
+};
+
+/** Picks "Name (2)", "Name (3)", ... until the name is free. */
+const uniqueName = (name, taken) => {
+  let n = 2;
+  while (taken.some((t) => sameText(t, `${name} (${n})`))) n++;
+  return `${name} (${n})`;
+};
+
+/**
+ * Works out how an imported pack merges into the existing custom categories.
+ * @param {Array} existing - The user's custom categories
+ * @param {Array} imported - Categories from parseCategoryPack
+ * @param {{duplicateNames: string, keywordConflicts: string}} strategies
+ *   See DUPLICATE_NAME_STRATEGIES and KEYWORD_CONFLICT_STRATEGIES
+ * @returns {{
+ *   creates: Array<{key: string, name: string, color: string, keywords: Array<string>}>,
+ *   updates: Array<{id: string, updates: {keywords: Array<string>}}>,
+ *   duplicateNames: Array<string>,
+ *   keywordConflicts: Array<{keyword: string, owner: string, importedInto: string}>,
+ *   skipped: Array<string>
+ * }} keywordConflicts name the category that had the keyword and the one the import put it in
+ */
+export const planCategoryImport = (existing, imported, strategies) => {
+  // Working copies of every category the import touches, existing ones first
+  const working = existing.map((cat) => ({ ...cat, keywords: [...cat.keywords], isNew: false }));
+  const duplicateNames = [];
+  const keywordConflicts = [];
+  const skipped = [];
+
+  for (const cat of imported) {
+    const duplicate = working.find((w) => sameText(w.name, cat.name));
+    if (duplicate) duplicateNames.push(cat.name);
+    if (duplicate && strategies.duplicateNames === DUPLICATE_NAME_STRATEGIES.SKIP) {
+      skipped.push(cat.name);
+      continue;
+    }
+
+    let target = duplicate;
+    if (!duplicate || strategies.duplicateNames === DUPLICATE_NAME_STRATEGIES.RENAME) {
+      target = {
+        key: createCustomCategoryKey(),
+        name: duplicate ? uniqueName(cat.name, working.map((w) => w.name)) : cat.name,
+        color: cat.color,
+        keywords: [],
+        isNew: true,
+      };
+      working.push(target);
+    }
+
+    for (const keyword of cat.keywords) {
+      if (target.keywords.some((k) => sameKeyword(k, keyword))) continue;
+      const owner = working.find((w) => w !== target && w.keywords.some((k) => sameKeyword(k, keyword)));
+      if (owner) {
+        keywordConflicts.push({ keyword, owner: owner.name, importedInto: target.name });
+        if (strategies.keywordConflicts === KEYWORD_CONFLICT_STRATEGIES.KEEP) continue;
+        owner.keywords = owner.keywords.filter((k) => !sameKeyword(k, keyword));
+      }
+      target.keywords.push(keyword);
+    }
+  }
+
+  const creates = working
+    .filter((w) => w.isNew)
+    .map(({ key, name, color, keywords }) => ({ key, name, color, keywords }));
+  const updates = working
+    .filter((w) => !w.isNew)
+    .filter((w) => {
+      const before = existing.find((cat) => cat.id === w.id).keywords;
+      return before.length !== w.keywords.length || before.some((k, i) => k !== w.keywords[i]);
+    })
+    .map((w) => ({ id: w.id, updates: { keywords: w.keywords } }));
+
+  return { creates, updates, duplicateNames, keywordConflicts, skipped };
+};
@@ -1,9 +1,15 @@
 /**
  * Firebase app initialization and service exports.
  * Provides the shared app instance, Firestore database, and Auth.
+ * Firestore keeps a persistent IndexedDB cache so data is readable offline and
+ * writes made offline are queued and replayed when the connection returns.
  */
 import { initializeApp } from 'firebase/app';
-import { getFirestore } from 'firebase/firestore';
+import {
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+} from 'firebase/firestore';
 import { getAuth } from 'firebase/auth';
 
 const firebaseConfig = {
@@ -18,5 +24,7 @@ const firebaseConfig = {
 
 const app = initializeApp(firebaseConfig);
 
-export const db = getFirestore(app);
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+});
 export const auth = getAuth(app);
@@ -1,21 +1,32 @@
 /**
  * Firestore service layer for ShoppingListAI.
  * All data is scoped under users/{userId}/ for per-user isolation.
+ * Lists live under their owner's users/{ownerId}/lists and may be shared with
+ * other users, who are tracked on the list document itself (memberIds/members).
  * Provides CRUD operations and real-time snapshot listeners.
  */
 import {
   collection,
+  collectionGroup,
   doc,
   addDoc,
+  getDoc,
+  getDocs,
   setDoc,
   updateDoc,
   deleteDoc,
+  deleteField,
   onSnapshot,
   query,
+  where,
   orderBy,
+  limit,
   serverTimestamp,
   writeBatch,
+  runTransaction,
   increment,
+  arrayUnion,
+  arrayRemove,
 } from 'firebase/firestore';
 import { db } from './firebase.js';
 
@@ -24,40 +35,64 @@ import { db } from './firebase.js';
 // ---------------------------------------------------------------------------
 
 const userDoc = (userId) => doc(db, 'users', userId);
-const listsCol = (userId) => collection(db, 'users', userId, 'lists');
-const listDoc = (userId, listId) => doc(db, 'users', userId, 'lists', listId);
-const itemsCol = (userId, listId) => collection(db, 'users', userId, 'lists', listId, 'items');
-const itemDoc = (userId, listId, itemId) => doc(db, 'users', userId, 'lists', listId, 'items', itemId);
+const listsCol = (ownerId) => collection(db, 'users', ownerId, 'lists');
+const listDoc = (ownerId, listId) => doc(db, 'users', ownerId, 'lists', listId);
+const itemsCol = (ownerId, listId) => collection(db, 'users', ownerId, 'lists', listId, 'items');
+const itemDoc = (ownerId, listId, itemId) => doc(db, 'users', ownerId, 'lists', listId, 'items', itemId);
+const inviteDoc = (code) => doc(db, 'invites', code);
 const historyCol = (userId) => collection(db, 'users', userId, 'history');
+const tripsCol = (userId) => collection(db, 'users', userId, 'trips');
+const tripDoc = (userId, tripId) => doc(db, 'users', userId, 'trips', tripId);
+const pricesCol = (userId) => collection(db, 'users', userId, 'prices');
+const priceDoc = (userId, priceId) => doc(db, 'users', userId, 'prices', priceId);
 const storesCol = (userId) => collection(db, 'users', userId, 'stores');
 const storeDoc = (userId, storeId) => doc(db, 'users', userId, 'stores', storeId);
 const categoriesCol = (userId) => collection(db, 'users', userId, 'customCategories');
 const categoryDoc = (userId, catId) => doc(db, 'users', userId, 'customCategories', catId);
+const categorySettingsDoc = (userId) => doc(db, 'users', userId, 'settings', 'categories');
+const overridesCol = (userId) => collection(db, 'users', userId, 'categoryOverrides');
+// Item names can contain "/", which isn't allowed in document IDs
+const overrideDoc = (userId, name) => doc(db, 'users', userId, 'categoryOverrides', encodeURIComponent(name));
+const recipesCol = (userId) => collection(db, 'users', userId, 'recipes');
+const recipeDoc = (userId, recipeId) => doc(db, 'users', userId, 'recipes', recipeId);
+const pantryCol = (userId) => collection(db, 'users', userId, 'pantry');
+const pantryDoc = (userId, pantryId) => doc(db, 'users', userId, 'pantry', pantryId);
+const feedbackCol = (userId) => collection(db, 'users', userId, 'suggestionFeedback');
+const feedbackDoc = (userId, key) => doc(db, 'users', userId, 'suggestionFeedback', encodeURIComponent(key));
 
 // ---------------------------------------------------------------------------
 // Lists
 // ---------------------------------------------------------------------------
 
-/** Creates a new shopping list document. Returns the generated ID. */
-export const createList = async (userId, name) => {
-  const ref = await addDoc(listsCol(userId), {
+/**
+ * Creates a new shopping list document owned by the user.
+ * The ID is generated client-side so it is available immediately, even offline.
+ * @returns {{id: string, write: Promise<void>}} The new list's ID and the pending write
+ */
+export const createList = (userId, name, ownerName = null) => {
+  const ref = doc(listsCol(userId));
+  const write = setDoc(ref, {
     name,
     itemCount: 0,
+    budget: null,
+    ownerName,
+    memberIds: [],
+    members: {},
     createdAt: serverTimestamp(),
   });
-  return ref.id;
+  return { id: ref.id, write };
 };
 
 /** Updates fields on a shopping list (e.g. rename). */
-export const updateList = async (userId, listId, updates) => {
-  await updateDoc(listDoc(userId, listId), updates);
+export const updateList = async (ownerId, listId, updates) => {
+  await updateDoc(listDoc(ownerId, listId), updates);
 };
 
 /** Deletes a shopping list and all its items (subcollection). */
-export const deleteList = async (userId, listId) => {
+export const deleteList = async (ownerId, listId) => {
   // Firestore doesn't cascade-delete subcollections, so we batch-delete items first
   const batch = writeBatch(db);
-  const itemsRef = itemsCol(userId, listId);
+  const itemsRef = itemsCol(ownerId, listId);
   // We subscribe briefly to get all item docs, then unsubscribe
   const snapshot = await new Promise((resolve) => {
     const unsub = onSnapshot(itemsRef, (snap) => {
@@ -66,75 +101,249 @@ export const deleteList = async (userId, listId) => {
     });
   });
   snapshot.docs.forEach((d) => batch.delete(d.ref));
-  batch.delete(listDoc(userId, listId));
+  batch.delete(listDoc(ownerId, listId));
   await batch.commit();
 };
 
+/** Maps a list snapshot to a plain object, deriving the owner from the document path. */
+const toList = (d) => ({
+  id: d.id,
+  ...d.data(),
+  ownerId: d.ref.parent.parent.id,
+});
+
 /**
- * Subscribes to all lists for a user in real-time.
+ * Subscribes to all lists the user can see in real-time: lists they own plus
+ * lists shared with them through an invite code. Owned lists come first.
+ * The shared-list query is a collection-group query on `lists` filtered by
+ * `memberIds`, which needs a collection-group index on that field.
  * @returns {Function} Unsubscribe function
  */
 export const subscribeLists = (userId, callback) => {
-  const q = query(listsCol(userId), orderBy('createdAt', 'asc'));
-  return onSnapshot(q, (snapshot) => {
-    const lists = snapshot.docs.map((d) => ({
-      id: d.id,
-      ...d.data(),
-    }));
-    callback(lists);
+  let owned = [];
+  let shared = [];
+  const emit = () => callback([...owned, ...shared]);
+
+  const ownedQuery = query(listsCol(userId), orderBy('createdAt', 'asc'));
+  const unsubOwned = onSnapshot(ownedQuery, (snapshot) => {
+    owned = snapshot.docs.map(toList);
+    emit();
   });
+
+  const sharedQuery = query(collectionGroup(db, 'lists'), where('memberIds', 'array-contains', userId));
+  const unsubShared = onSnapshot(
+    sharedQuery,
+    (snapshot) => {
+      shared = snapshot.docs
+        .map(toList)
+        .sort((a, b) => (a.createdAt?.toMillis?.() ?? 0) - (b.createdAt?.toMillis?.() ?? 0));
+      emit();
+    },
+    (err) => console.error('Failed to subscribe to shared lists:', err),
+  );
+
+  return () => {
+    unsubOwned();
+    unsubShared();
+  };
 };
 
 // ---------------------------------------------------------------------------
-// Items (subcollection of a list)
+// Sharing (invite codes and members)
 // ---------------------------------------------------------------------------
 
-/** Adds a single item to a list. Returns the generated ID. */
-export const addItem = async (userId, listId, item) => {
-  const ref = await addDoc(itemsCol(userId, listId), {
-    ...item,
-    addedAt: serverTimestamp(),
+/** Invite codes avoid look-alike characters (0/O, 1/I/L) so they can be read aloud. */
+const INVITE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 6;
+const INVITE_CODE_ATTEMPTS = 5;
+
+const generateInviteCode = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(INVITE_CODE_LENGTH));
+  return Array.from(bytes, (b) => INVITE_ALPHABET[b % INVITE_ALPHABET.length]).join('');
+};
+
+/**
+ * Creates an invite code granting the given role on a list.
+ * The code is claimed in a transaction so a collision never overwrites another
+ * list's invite; a taken code is retried with a new one.
+ * @param {string} ownerId - The list owner's user ID
+ * @param {string} listId - The list to share
+ * @param {string} listName - Shown to the person joining
+ * @param {string} role - 'editor' or 'viewer'
+ * @returns {Promise<string>} The invite code
+ */
+export const createListInvite = async (ownerId, listId, listName, role) => {
+  for (let attempt = 0; attempt < INVITE_CODE_ATTEMPTS; attempt++) {
+    const code = generateInviteCode();
+    const isCreated = await runTransaction(db, async (transaction) => {
+      const existing = await transaction.get(inviteDoc(code));
+      if (existing.exists()) return false;
+      transaction.set(inviteDoc(code), {
+        ownerId,
+        listId,
+        listName,
+        role,
+        createdAt: serverTimestamp(),
+      });
+      return true;
+    });
+    if (isCreated) return code;
+  }
+  throw new Error('Could not create a unique invite code');
+};
+
+/**
+ * Joins a shared list using an invite code. Adds the user to the list's members
+ * with the role stored on the invite. The code is saved with the membership so
+ * the security rules can check the role against the invite.
+ * @param {{uid: string, displayName?: string, email?: string, isAnonymous?: boolean}} user
+ * @param {string} code - The invite code (case-insensitive)
+ * @returns {Promise<string>} The joined list's ID
+ */
+export const joinListByCode = async (user, code) => {
+  const inviteCode = code.trim().toUpperCase();
+  const snap = await getDoc(inviteDoc(inviteCode));
+  if (!snap.exists()) {
+    throw new Error('Invite code not found');
+  }
+  const invite = snap.data();
+  if (invite.ownerId === user.uid) {
+    return invite.listId;
+  }
+  await updateDoc(listDoc(invite.ownerId, invite.listId), {
+    memberIds: arrayUnion(user.uid),
+    [`members.${user.uid}`]: {
+      role: invite.role,
+      inviteCode,
+      name: user.isAnonymous ? 'Guest' : user.displayName ?? user.email ?? 'Member',
+      joinedAt: serverTimestamp(),
+    },
   });
-  await updateDoc(listDoc(userId, listId), { itemCount: increment(1) });
+  return invite.listId;
+};
+
+/** Removes a member from a shared list (owner removing someone, or a member leaving). */
+export const removeListMember = async (ownerId, listId, memberId) => {
+  await updateDoc(listDoc(ownerId, listId), {
+    memberIds: arrayRemove(memberId),
+    [`members.${memberId}`]: deleteField(),
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Items (subcollection of a list)
+// ---------------------------------------------------------------------------
+
+/**
+ * Adds a single item to a list and bumps the list's itemCount in one batch,
+ * so both land together when writes are replayed after being offline.
+ * Returns the generated ID.
+ */
+export const addItem = async (ownerId, listId, item) => {
+  const batch = writeBatch(db);
+  const ref = doc(itemsCol(ownerId, listId));
+  batch.set(ref, { ...item, addedAt: serverTimestamp() });
+  batch.update(listDoc(ownerId, listId), { itemCount: increment(1) });
+  await batch.commit();
   return ref.id;
 };
 
 /** Adds multiple items to a list in a batch. */
-export const addItems = async (userId, listId, items) => {
+export const addItems = async (ownerId, listId, items) => {
   const batch = writeBatch(db);
   for (const item of items) {
-    const ref = doc(itemsCol(userId, listId));
+    const ref = doc(itemsCol(ownerId, listId));
     batch.set(ref, { ...item, addedAt: serverTimestamp() });
   }
-  batch.update(listDoc(userId, listId), { itemCount: increment(items.length) });
+  batch.update(listDoc(ownerId, listId), { itemCount: increment(items.length) });
   await batch.commit();
 };
 
 /** Updates fields on a single item. */
-export const updateItem = async (userId, listId, itemId, updates) => {
-  await updateDoc(itemDoc(userId, listId, itemId), updates);
+export const updateItem = async (ownerId, listId, itemId, updates) => {
+  await updateDoc(itemDoc(ownerId, listId, itemId), updates);
+};
+
+/**
+ * Updates several items in one batch.
+ * @param {Array<{id: string, updates: Object}>} changes
+ */
+export const updateItems = async (ownerId, listId, changes) => {
+  const batch = writeBatch(db);
+  for (const { id, updates } of changes) {
+    batch.update(itemDoc(ownerId, listId, id), updates);
+  }
+  await batch.commit();
+};
+
+/** Most writes Firestore accepts in a single batch. */
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Updates items across several lists, in as few batches as possible.
+ * @param {Array<{ownerId: string, listId: string, itemId: string, updates: Object}>} changes
+ */
+export const updateItemsAcrossLists = async (changes) => {
+  for (let start = 0; start < changes.length; start += MAX_BATCH_WRITES) {
+    const batch = writeBatch(db);
+    for (const { ownerId, listId, itemId, updates } of changes.slice(start, start + MAX_BATCH_WRITES)) {
+      batch.update(itemDoc(ownerId, listId, itemId), updates);
+    }
+    await batch.commit();
+  }
+};
+
+/**
+ * Checks or unchecks an item and adjusts the list's itemCount in one batch
+ * (checked items aren't counted). Records when the item was checked off.
+ */
+export const setItemChecked = async (ownerId, listId, itemId, isChecked) => {
+  const batch = writeBatch(db);
+  batch.update(itemDoc(ownerId, listId, itemId), {
+    isChecked,
+    checkedAt: isChecked ? serverTimestamp() : null,
+  });
+  batch.update(listDoc(ownerId, listId), { itemCount: increment(isChecked ? -1 : 1) });
+  await batch.commit();
 };
 
-/** Deletes a single item. */
-export const removeItem = async (userId, listId, itemId) => {
-  await deleteDoc(itemDoc(userId, listId, itemId));
+/**
+ * Deletes a single item. Unchecked items also decrement the list's itemCount
+ * in the same batch.
+ */
+export const removeItem = async (ownerId, listId, itemId, wasCounted = false) => {
+  const batch = writeBatch(db);
+  batch.delete(itemDoc(ownerId, listId, itemId));
+  if (wasCounted) {
+    batch.update(listDoc(ownerId, listId), { itemCount: increment(-1) });
+  }
+  await batch.commit();
 };
 
 /** Deletes all checked items from a list in a batch. */
-export const clearCheckedItems = async (userId, listId, checkedItemIds) => {
+export const clearCheckedItems = async (ownerId, listId, checkedItemIds) => {
   const batch = writeBatch(db);
   for (const id of checkedItemIds) {
-    batch.delete(itemDoc(userId, listId, id));
+    batch.delete(itemDoc(ownerId, listId, id));
   }
   await batch.commit();
 };
 
+/**
+ * Reads a list's items once, e.g. for lists other than the one on screen.
+ * @returns {Promise<Array<Object>>}
+ */
+export const getListItems = async (ownerId, listId) => {
+  const snapshot = await getDocs(itemsCol(ownerId, listId));
+  return snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+};
+
 /**
  * Subscribes to all items in a list in real-time.
  * @returns {Function} Unsubscribe function
  */
-export const subscribeItems = (userId, listId, callback) => {
-  const q = query(itemsCol(userId, listId), orderBy('addedAt', 'asc'));
+export const subscribeItems = (ownerId, listId, callback) => {
+  const q = query(itemsCol(ownerId, listId), orderBy('addedAt', 'asc'));
   return onSnapshot(q, (snapshot) => {
     const items = snapshot.docs.map((d) => ({
       id: d.id,
@@ -144,18 +353,136 @@ export const subscribeItems = (userId, listId, callback) => {
   });
 };
 
+// ---------------------------------------------------------------------------
+// Prices
+// ---------------------------------------------------------------------------
+
+/**
+ * Sets an item's price and records it in the user's price history in one batch.
+ * Re-pricing the same item overwrites its earlier history entry instead of
+ * adding another. Clearing the price (null) leaves the history alone.
+ * @param {string} userId - Whose price history to record into
+ * @param {{price: number|null, pricePerUnit: boolean, priceEntryId?: string}} pricing
+ * @param {Object|null} entry - Price history entry (see buildPriceEntry)
+ */
+export const setItemPrice = async (userId, ownerId, listId, itemId, pricing, entry) => {
+  const batch = writeBatch(db);
+  const updates = { price: pricing.price, pricePerUnit: pricing.pricePerUnit };
+  if (entry) {
+    const ref = pricing.priceEntryId ? priceDoc(userId, pricing.priceEntryId) : doc(pricesCol(userId));
+    batch.set(ref, { ...entry, paidAt: serverTimestamp() });
+    updates.priceEntryId = ref.id;
+  }
+  batch.update(itemDoc(ownerId, listId, itemId), updates);
+  await batch.commit();
+};
+
+/** Number of recent price entries kept in memory for lookups. */
+const PRICE_HISTORY_LIMIT = 500;
+
+/**
+ * Subscribes to the user's most recent price history entries.
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribePrices = (userId, callback) => {
+  const q = query(pricesCol(userId), orderBy('paidAt', 'desc'), limit(PRICE_HISTORY_LIMIT));
+  return onSnapshot(q, (snapshot) => {
+    const prices = snapshot.docs.map((d) => ({
+      id: d.id,
+      ...d.data(),
+    }));
+    callback(prices);
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Trips
+// ---------------------------------------------------------------------------
+
+/**
+ * Marks a shopping trip as in progress on the list, so every member sees it.
+ * @param {{storeId: string|null, startedBy: string}} trip
+ */
+export const startTrip = async (ownerId, listId, trip) => {
+  await updateDoc(listDoc(ownerId, listId), {
+    activeTrip: { ...trip, startedAt: serverTimestamp() },
+  });
+};
+
+/** Ends the list's trip without recording anything. */
+export const cancelTrip = async (ownerId, listId) => {
+  await updateDoc(listDoc(ownerId, listId), { activeTrip: deleteField() });
+};
+
+/**
+ * Finishes a trip in one batch: records it in the shopper's trips
+ * subcollection, deletes the checked items from the list and clears the
+ * list's active trip.
+ * @param {string} userId - The shopper, whose history the trip is saved to
+ * @param {Object} trip - Trip record (list, store, startedAt, items)
+ * @param {string[]} checkedItemIds - Items to remove from the list
+ * @returns {Promise<string>} The new trip's ID
+ */
+export const finishTrip = async (userId, ownerId, listId, trip, checkedItemIds) => {
+  const batch = writeBatch(db);
+  const ref = doc(tripsCol(userId));
+  batch.set(ref, { ...trip, finishedAt: serverTimestamp() });
+  for (const id of checkedItemIds) {
+    batch.delete(itemDoc(ownerId, listId, id));
+  }
+  batch.update(listDoc(ownerId, listId), { activeTrip: deleteField() });
+  await batch.commit();
+  return ref.id;
+};
+
+/** Deletes a trip from the user's history. */
+export const deleteTrip = async (userId, tripId) => {
+  await deleteDoc(tripDoc(userId, tripId));
+};
+
+/** Number of past trips kept in memory for the history view. */
+const TRIP_HISTORY_LIMIT = 50;
+
+/**
+ * Subscribes to the user's most recent trips, newest first.
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeTrips = (userId, callback) => {
+  const q = query(tripsCol(userId), orderBy('finishedAt', 'desc'), limit(TRIP_HISTORY_LIMIT));
+  return onSnapshot(q, (snapshot) => {
+    const trips = snapshot.docs.map((d) => ({
+      id: d.id,
+      ...d.data(),
+    }));
+    callback(trips);
+  });
+};
+
 // ---------------------------------------------------------------------------
 // History
 // ---------------------------------------------------------------------------
 
-/** Adds a history entry. */
-export const addHistoryEntry = async (userId, name) => {
+/**
+ * Adds a history entry. The list it was added to is kept so items added
+ * together can be found later.
+ */
+export const addHistoryEntry = async (userId, name, listId = null) => {
   await addDoc(historyCol(userId), {
     name,
+    listId,
     addedAt: serverTimestamp(),
   });
 };
 
+/** Adds one history entry per name in a single batch. */
+export const addHistoryEntries = async (userId, names, listId = null) => {
+  const batch = writeBatch(db);
+  for (const name of names) {
+    batch.set(doc(historyCol(userId)), { name, listId, addedAt: serverTimestamp() });
+  }
+  await batch.commit();
+};
+
 /**
  * Subscribes to the user's item history in real-time.
  * @returns {Function} Unsubscribe function
@@ -171,6 +498,62 @@ export const subscribeHistory = (userId, callback) => {
   });
 };
 
+// ---------------------------------------------------------------------------
+// Suggestion feedback (dismissed, snoozed and never-suggested items)
+// ---------------------------------------------------------------------------
+
+/** Merges changes into an item's suggestion feedback, creating it if needed. */
+const updateSuggestionFeedback = async (userId, key, name, updates) => {
+  await setDoc(feedbackDoc(userId, key), {
+    key,
+    name,
+    ...updates,
+    updatedAt: serverTimestamp(),
+  }, { merge: true });
+};
+
+/** Hides a suggestion on one list and counts the dismissal. */
+export const dismissSuggestion = async (userId, key, name, listId) => {
+  await updateSuggestionFeedback(userId, key, name, {
+    dismissedLists: { [listId]: serverTimestamp() },
+    dismissCount: increment(1),
+  });
+};
+
+/** Hides a suggestion everywhere until the given date. */
+export const snoozeSuggestion = async (userId, key, name, until) => {
+  await updateSuggestionFeedback(userId, key, name, { snoozedUntil: until });
+};
+
+/** Stops suggesting an item at all. */
+export const neverSuggest = async (userId, key, name) => {
+  await updateSuggestionFeedback(userId, key, name, { neverSuggest: true });
+};
+
+/**
+ * Lets a snoozed or never-suggested item be suggested again.
+ * Past dismissals are kept, since they still say something about the item.
+ */
+export const restoreSuggestion = async (userId, key) => {
+  await updateDoc(feedbackDoc(userId, key), {
+    neverSuggest: false,
+    snoozedUntil: deleteField(),
+    updatedAt: serverTimestamp(),
+  });
+};
+
+/**
+ * Subscribes to the user's suggestion feedback in real-time.
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeSuggestionFeedback = (userId, callback) => onSnapshot(feedbackCol(userId), (snapshot) => {
+  const feedback = snapshot.docs.map((d) => ({
+    id: d.id,
+    ...d.data(),
+  }));
+  callback(feedback);
+});
+
 // ---------------------------------------------------------------------------
 // Custom Categories
 // ---------------------------------------------------------------------------
@@ -194,6 +577,23 @@ export const deleteCustomCategory = async (userId, catId) => {
   await deleteDoc(categoryDoc(userId, catId));
 };
 
+/**
+ * Creates and updates several custom categories in one batch, e.g. for an
+ * imported category pack.
+ * @param {Array<Object>} creates - New categories, including their order
+ * @param {Array<{id: string, updates: Object}>} updates
+ */
+export const importCustomCategories = async (userId, creates, updates) => {
+  const batch = writeBatch(db);
+  for (const category of creates) {
+    batch.set(doc(categoriesCol(userId)), { ...category, createdAt: serverTimestamp() });
+  }
+  for (const { id, updates: changes } of updates) {
+    batch.update(categoryDoc(userId, id), changes);
+  }
+  await batch.commit();
+};
+
 /** Saves the full ordered array of custom categories (for reordering). */
 export const saveCustomCategoryOrder = async (userId, categories) => {
   const batch = writeBatch(db);
@@ -218,6 +618,68 @@ export const subscribeCustomCategories = (userId, callback) => {
   });
 };
 
+// ---------------------------------------------------------------------------
+// Category settings (built-in labels, colors, visibility and order)
+// ---------------------------------------------------------------------------
+
+/**
+ * Merges changes into the user's category settings. Nested maps merge too,
+ * so `{ labels: { frozen: 'Freezer' } }` leaves other labels alone.
+ */
+export const updateCategorySettings = async (userId, updates) => {
+  await setDoc(categorySettingsDoc(userId), {
+    ...updates,
+    updatedAt: serverTimestamp(),
+  }, { merge: true });
+};
+
+/** Shows or hides a built-in category. */
+export const setCategoryHidden = async (userId, key, isHidden) => {
+  await updateCategorySettings(userId, { hidden: isHidden ? arrayUnion(key) : arrayRemove(key) });
+};
+
+/** Removes all category settings, restoring the built-in defaults. */
+export const resetCategorySettings = async (userId) => {
+  await deleteDoc(categorySettingsDoc(userId));
+};
+
+/**
+ * Subscribes to the user's category settings in real-time.
+ * The callback receives null when the defaults are in use.
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeCategorySettings = (userId, callback) => onSnapshot(categorySettingsDoc(userId), (snapshot) => {
+  callback(snapshot.exists() ? snapshot.data() : null);
+});
+
+// ---------------------------------------------------------------------------
+// Category overrides (learned from manual recategorization)
+// ---------------------------------------------------------------------------
+
+/**
+ * Records that an item name belongs in a category. One document per
+ * normalized name, so correcting the same item again replaces the old entry.
+ */
+export const saveCategoryOverride = async (userId, name, category) => {
+  await setDoc(overrideDoc(userId, name), {
+    name,
+    category,
+    updatedAt: serverTimestamp(),
+  });
+};
+
+/**
+ * Subscribes to the user's category overrides in real-time.
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeCategoryOverrides = (userId, callback) => onSnapshot(overridesCol(userId), (snapshot) => {
+  const overrides = snapshot.docs.map((d) => ({
+    id: d.id,
+    ...d.data(),
+  }));
+  callback(overrides);
+});
+
 // ---------------------------------------------------------------------------
 // Stores
 // ---------------------------------------------------------------------------
@@ -264,3 +726,97 @@ export const subscribeStores = (userId, callback) => {
     callback(stores);
   });
 };
+
+// ---------------------------------------------------------------------------
+// Recipes
+// ---------------------------------------------------------------------------
+
+/** Saves a new recipe to the user's recipe box. Returns the generated ID. */
+export const createRecipe = async (userId, recipe) => {
+  const ref = await addDoc(recipesCol(userId), {
+    ...recipe,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return ref.id;
+};
+
+/** Updates a saved recipe. */
+export const updateRecipe = async (userId, recipeId, updates) => {
+  await updateDoc(recipeDoc(userId, recipeId), {
+    ...updates,
+    updatedAt: serverTimestamp(),
+  });
+};
+
+/** Deletes a saved recipe. */
+export const deleteRecipe = async (userId, recipeId) => {
+  await deleteDoc(recipeDoc(userId, recipeId));
+};
+
+/**
+ * Subscribes to the user's recipe box in real-time, sorted by name.
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeRecipes = (userId, callback) => {
+  const q = query(recipesCol(userId), orderBy('name', 'asc'));
+  return onSnapshot(q, (snapshot) => {
+    const recipes = snapshot.docs.map((d) => ({
+      id: d.id,
+      ...d.data(),
+    }));
+    callback(recipes);
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Pantry
+// ---------------------------------------------------------------------------
+
+/**
+ * Adds and restocks several pantry items in one batch.
+ * @param {Array<Object>} creates - New pantry items ({name, quantity, unit, category, purchasedAt, expiresAt})
+ * @param {Array<{id: string, updates: Object}>} updates - Existing items with new amounts
+ */
+export const savePantryItems = async (userId, creates, updates) => {
+  const batch = writeBatch(db);
+  for (const item of creates) {
+    batch.set(doc(pantryCol(userId)), {
+      ...item,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+  }
+  for (const { id, updates: changes } of updates) {
+    batch.update(pantryDoc(userId, id), { ...changes, updatedAt: serverTimestamp() });
+  }
+  await batch.commit();
+};
+
+/** Updates a pantry item, e.g. its expiry date or "running low" flag. */
+export const updatePantryItem = async (userId, pantryId, updates) => {
+  await updateDoc(pantryDoc(userId, pantryId), {
+    ...updates,
+    updatedAt: serverTimestamp(),
+  });
+};
+
+/** Removes an item from the pantry (used up or no longer kept). */
+export const deletePantryItem = async (userId, pantryId) => {
+  await deleteDoc(pantryDoc(userId, pantryId));
+};
+
+/**
+ * Subscribes to the user's pantry in real-time, sorted by name.
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribePantry = (userId, callback) => {
+  const q = query(pantryCol(userId), orderBy('name', 'asc'));
+  return onSnapshot(q, (snapshot) => {
+    const pantry = snapshot.docs.map((d) => ({
+      id: d.id,
+      ...d.data(),
+    }));
+    callback(pantry);
+  });
+};
@@ -0,0 +1,219 @@
+/**
+ * Ingredient parser - reads one recipe ingredient line into structured parts.
+ * "2-3 cloves garlic, minced" -> 2 to 3 cloves of "garlic", prepared "minced".
+ * Understands unicode fractions (1½), written numbers ("one", "half a"),
+ * ranges ("2-3", "1 to 2"), package sizes ("one 14-oz can", "2 (15 oz) cans"),
+ * "juice of 2 lemons", and notes like "to taste" or "(optional)".
+ */
+
+import { formatQuantity, normalizeUnit, parseQuantity, UNITS } from '../utils/units.js';
+
+const UNICODE_FRACTIONS = {
+  '½': '1/2',
+  '⅓': '1/3',
+  '⅔': '2/3',
+  '¼': '1/4',
+  '¾': '3/4',
+  '⅕': '1/5',
+  '⅖': '2/5',
+  '⅗': '3/5',
+  '⅘': '4/5',
+  '⅙': '1/6',
+  '⅚': '5/6',
+  '⅛': '1/8',
+  '⅜': '3/8',
+  '⅝': '5/8',
+  '⅞': '7/8',
+};
+
+const WRITTEN_NUMBERS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  half: 0.5,
+};
+
+/** Units a product is sold in, which a package size ("14-oz can") can precede. */
+const PACKAGE_UNITS = new Set(['can', 'jar', 'bottle', 'box', 'bag', 'package']);
+
+/** A number, including mixed numbers written "1 1/2" or "1-1/2". */
+const NUMBER = String.raw`\d+\s+\d+/\d+|\d+-\d+/\d+|\d+/\d+|\d+(?:\.\d+)?`;
+const WORD_NUMBER = Object.keys(WRITTEN_NUMBERS).filter((word) => word !== 'a' && word !== 'an').join('|');
+// "a"/"an" is 1 unless it starts a vague amount: "a few sprigs thyme" keeps its whole name
+const ARTICLE = String.raw`an?\b(?!\s+(?:few|couple|handful)\b)`;
+// An amount must end at a space or a range dash, so "2% milk" isn't 2 of "% milk"
+const AMOUNT = `(?:${NUMBER})(?=[\\s\\-–—]|$)|(?:${WORD_NUMBER})\\b|${ARTICLE}`;
+
+/** A leading amount or range: "2", "1 1/2", "1-1/2", "2-3", "one to two". */
+const LEADING_AMOUNT = new RegExp(
+  `^(${AMOUNT})(?:\\s*(?:-|–|—|to|or)\\s*(${AMOUNT}))?\\s*`,
+  'i'
+);
+
+/** A package size after the count: "14-oz can ..." or "15 ounce cans ...". */
+const PACKAGE_SIZE = new RegExp(`^(${NUMBER})\\s*-?\\s*([a-z]+\\.?)\\s+`, 'i');
+
+/** Parenthetical that is only a size: "(15 oz)", "(14-ounce)". */
+const SIZE_ONLY = new RegExp(`^(${NUMBER})\\s*-?\\s*([a-z ]+?)\\.?$`, 'i');
+
+const OPTIONAL = /\(\s*optional\s*\)|,?\s*\b(?:optional|if desired)\b/gi;
+const SERVING_NOTE = /,?\s*\b(to taste|as needed|for serving|for garnish)\b/i;
+const JUICE_OR_ZEST = /^(juice and zest|zest and juice|juice|zest)\s+(?:of|from)\s+/i;
+
+/** Replaces unicode fractions with plain ones: "1½" -> "1 1/2". */
+const normalizeFractions = (text) => text
+  .replace(/⁄/g, '/')
+  .replace(/(\d)?\s*([½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])/g, (_, whole, fraction) => (
+    whole ? `${whole} ${UNICODE_FRACTIONS[fraction]}` : ` ${UNICODE_FRACTIONS[fraction]}`
+  ))
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/** Reads a number or written number ("one", "half"). "1-1/2" is read as 1 1/2. */
+const readAmount = (raw) => WRITTEN_NUMBERS[raw.toLowerCase()]
+  ?? parseQuantity(raw.replace(/^(\d+)-(?=\d+\/)/, '$1 '));
+
+/** Reads a size like "14 oz" or "15-ounce" into a canonical label, or null if it isn't one. */
+const readSize = (quantityText, unitText) => {
+  const unit = normalizeUnit(unitText);
+  const quantity = parseQuantity(quantityText);
+  return unit && UNITS[unit].dimension && quantity ? formatQuantity(quantity, unit) : null;
+};
+
+/**
+ * Parses a quantity that may be a range, as typed in the recipe editor.
+ * "2" -> { quantity: 2, quantityMax: null }, "2-3" -> { quantity: 2, quantityMax: 3 }
+ * @param {string} text
+ * @returns {{quantity: number|null, quantityMax: number|null}}
+ */
+export const parseQuantityRange = (text) => {
+  const match = normalizeFractions(String(text ?? '')).match(LEADING_AMOUNT);
+  if (!match) return { quantity: null, quantityMax: null };
+  const quantity = readAmount(match[1].trim());
+  const quantityMax = match[2] ? readAmount(match[2].trim()) : null;
+  return { quantity, quantityMax: quantityMax > quantity ? quantityMax : null };
+};
+
+/**
+ * Formats an ingredient's amount, including ranges: "2-3 cloves", "1/2 cup".
+ * @returns {string} Empty string when there is no amount
+ */
+export const formatIngredientAmount = ({ quantity, quantityMax = null, unit }) => (
+  quantityMax != null && quantity != null
+    ? `${formatQuantity(quantity, null)}-${formatQuantity(quantityMax, unit)}`
+    : formatQuantity(quantity, unit)
+);
+
+/**
+ * Parses one ingredient line.
+ * "1½ cups flour, sifted" -> { quantity: 1.5, unit: 'cup', name: 'flour', preparation: 'sifted' }
+ * "one 14-oz can diced tomatoes" -> { quantity: 1, unit: 'can', name: 'diced tomatoes', preparation: '14 oz' }
+ * "salt and pepper to taste" -> { quantity: null, name: 'salt and pepper', preparation: 'to taste' }
+ * "juice of 2 lemons" -> { quantity: 2, name: 'lemons', preparation: 'juice' }
+ * @param {string} line - A single ingredient line
+ * @returns {{
+ *   quantity: number|null,
+ *   quantityMax: number|null,
+ *   unit: string|null,
+ *   name: string,
+ *   preparation: string|null,
+ *   optional: boolean
+ * }} `quantityMax` is set for ranges; `preparation` collects every note
+ */
+export const parseIngredient = (line) => {
+  let text = normalizeFractions(line.replace(/^[-*•]\s*/, ''));
+  const notes = [];
+
+  const withoutOptional = text.replace(OPTIONAL, '');
+  const optional = withoutOptional !== text;
+  text = withoutOptional;
+
+  const servingNote = text.match(SERVING_NOTE);
+  if (servingNote) {
+    text = text.replace(SERVING_NOTE, '');
+  }
+
+  const juiceOrZest = text.match(JUICE_OR_ZEST);
+  if (juiceOrZest) {
+    notes.push(juiceOrZest[1].toLowerCase());
+    text = text.slice(juiceOrZest[0].length);
+  }
+
+  // Parentheticals are either a package size or a note ("about 2 cups")
+  let size = null;
+  text = text.replace(/\(([^)]*)\)/g, (_, inner) => {
+    const sizeMatch = inner.trim().match(SIZE_ONLY);
+    const readable = sizeMatch ? readSize(sizeMatch[1], sizeMatch[2]) : null;
+    if (readable) {
+      size = readable;
+    } else if (inner.trim()) {
+      notes.push(inner.trim());
+    }
+    return ' ';
+  }).replace(/\s+/g, ' ').trim();
+
+  // Everything after the first comma is preparation ("minced", "divided")
+  const comma = text.indexOf(',');
+  const preparation = comma >= 0 ? text.slice(comma + 1).trim() : '';
+  if (comma >= 0) text = text.slice(0, comma).trim();
+
+  let quantity = null;
+  let quantityMax = null;
+  const amount = text.match(LEADING_AMOUNT);
+  // A line that is only a number has no amount, just an odd name
+  if (amount && text.length > amount[0].length) {
+    ({ quantity, quantityMax } = parseQuantityRange(amount[0]));
+    text = text.slice(amount[0].length);
+    if (/^half$/i.test(amount[1])) text = text.replace(/^an?\s+/i, '');
+  }
+
+  const packageSize = text.match(PACKAGE_SIZE);
+  if (packageSize) {
+    const readable = readSize(packageSize[1], packageSize[2]);
+    const rest = text.slice(packageSize[0].length);
+    if (readable && PACKAGE_UNITS.has(normalizeUnit(rest.split(' ')[0]))) {
+      size = readable;
+      text = rest;
+    }
+  }
+
+  // Units need an amount before them ("2 cups") or "of" after them ("pinch of salt")
+  const words = text.split(' ');
+  let unit = null;
+  const twoWordUnit = words.length > 2 ? normalizeUnit(`${words[0]} ${words[1]}`) : null;
+  if (twoWordUnit && (quantity != null || /^of$/i.test(words[2]))) {
+    unit = twoWordUnit;
+    text = words.slice(2).join(' ');
+  } else if (words.length > 1 && normalizeUnit(words[0]) && (quantity != null || /^of$/i.test(words[1]))) {
+    unit = normalizeUnit(words[0]);
+    text = words.slice(1).join(' ');
+  }
+
+  let name = text.replace(/^of\s+/i, '').replace(/[.;:]+$/, '').trim();
+  if (!name) {
+    // Nothing left after the amount; keep the words rather than lose the line
+    name = line.replace(/^[-*•\d./\s-]+/, '').trim();
+  }
+
+  return {
+    quantity,
+    quantityMax,
+    unit,
+    name,
+    preparation: [...notes, size, preparation, servingNote?.[1].toLowerCase()]
+      .filter(Boolean)
+      .join(', ') || null,
+    optional,
+  };
+};
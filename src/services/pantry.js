@@ -0,0 +1,198 @@
+/**
+ * Pantry - what's already at home. Recipe ingredients are checked against it
+ * so staples like salt or olive oil don't land on the list every time.
+ * Pantry items may have an amount; one without is simply "in stock".
+ * Bought items can move in with their purchase date and, for perishables, an
+ * estimated expiry date; each dated purchase is kept as its own batch.
+ */
+
+import { CATEGORIES } from '../utils/categories.js';
+import { MS_PER_DAY, toDate } from '../utils/dates.js';
+import { normalizeForMatching } from '../utils/normalize.js';
+import { addQuantities, subtractQuantities } from '../utils/units.js';
+
+/** Items expiring within this many days are listed as expiring soon. */
+export const EXPIRING_SOON_DAYS = 3;
+
+/** Typical shelf life of perishable categories, in days. Others get no expiry. */
+const SHELF_LIFE_DAYS = {
+  [CATEGORIES.PRODUCE]: 7,
+  [CATEGORIES.DAIRY]: 10,
+  [CATEGORIES.MEAT]: 3,
+  [CATEGORIES.BAKERY]: 5,
+};
+
+/** Key used to match pantry items to ingredients ("Tomatoes" matches "tomato"). */
+export const pantryKey = (name) => normalizeForMatching(name);
+
+const hasQuantity = (item) => item.quantity != null;
+
+/**
+ * Whole days until a date, counted in calendar days: 0 is today, negative is past.
+ * @returns {number|null} null when there is no date
+ */
+export const daysUntil = (value, now = new Date()) => {
+  const date = toDate(value);
+  if (!date) return null;
+  const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+  return Math.round((startOfDay(date) - startOfDay(now)) / MS_PER_DAY);
+};
+
+/** Groups pantry entries by item, leaving out expired batches and ones running low. */
+const groupByKey = (pantry, now) => {
+  const groups = new Map();
+  for (const entry of pantry) {
+    if (entry.isLow || daysUntil(entry.expiresAt, now) < 0) continue;
+    const key = pantryKey(entry.name);
+    if (!key) continue;
+    groups.set(key, [...(groups.get(key) ?? []), entry]);
+  }
+  return groups;
+};
+
+/**
+ * Totals the pantry entries for one ingredient. An entry without an amount
+ * means "some", so the total has no amount either. Entries in units that
+ * can't be combined with the first one are left out of the total.
+ */
+const totalStock = (entries) => {
+  if (!entries.every(hasQuantity)) {
+    return { quantity: null, unit: null };
+  }
+  return entries.slice(1).reduce(
+    (total, entry) => addQuantities(total, entry) ?? total,
+    { quantity: entries[0].quantity, unit: entries[0].unit ?? null }
+  );
+};
+
+/**
+ * Checks incoming items against the pantry.
+ * - An item counts as stocked when the pantry has it and either side has no
+ *   amount, the units can't be compared, or the pantry holds at least as much.
+ * - When the pantry holds less, the item's amount is cut down to what's missing.
+ * Items found in the pantry get a `pantry` field: { isStocked, have }, where
+ * `have` is the pantry's amount ({quantity, unit}, both null for "some").
+ * Expired batches and items marked as running low don't count.
+ * @param {Array<Object>} items - Items with name, quantity and unit
+ * @param {Array<Object>} pantry - Pantry items
+ * @param {Date} [now]
+ * @returns {Array<Object>} The items, annotated and possibly reduced
+ */
+export const checkPantry = (items, pantry, now = new Date()) => {
+  const stock = groupByKey(pantry, now);
+  return items.map((item) => {
+    const entries = stock.get(pantryKey(item.name));
+    if (!entries) return item;
+
+    const have = totalStock(entries);
+    if (!hasQuantity(item) || !hasQuantity(have)) {
+      return { ...item, pantry: { isStocked: true, have } };
+    }
+    const missing = subtractQuantities(item, have);
+    if (!missing || missing.quantity <= 0) {
+      return { ...item, pantry: { isStocked: true, have } };
+    }
+    return { ...item, ...missing, pantry: { isStocked: false, have } };
+  });
+};
+
+/**
+ * Plans adding items to the pantry.
+ * - An item with an expiry date is always a new batch, so each keeps its date.
+ * - Otherwise amounts are added onto an undated entry for the same item when
+ *   the units allow it.
+ * - An item without an amount, or one the pantry already has "some" of, only
+ *   refreshes the existing entries.
+ * - Everything else becomes a new entry.
+ * Restocking an item clears the "running low" flag on its existing entries.
+ * @param {Array<Object>} pantry - Current pantry items
+ * @param {Array<Object>} items - Items to add ({name, quantity, unit, category, purchasedAt, expiresAt})
+ * @returns {{creates: Array<Object>, updates: Array<{id: string, updates: Object}>}}
+ */
+export const planPantryRestock = (pantry, items) => {
+  const entries = pantry.map((entry) => ({ ...entry }));
+  const creates = [];
+  const updatedIds = new Set();
+
+  for (const item of items) {
+    const name = item.name.trim();
+    if (!name) continue;
+    const key = pantryKey(name);
+    const matches = [...entries, ...creates].filter((e) => pantryKey(e.name) === key);
+    for (const entry of matches) {
+      if (entry.id && entry.isLow) updatedIds.add(entry.id);
+    }
+    const hasExpiry = item.expiresAt != null;
+    if (!hasExpiry && matches.length > 0 && (!hasQuantity(item) || !matches.every(hasQuantity))) continue;
+
+    const match = hasExpiry
+      ? null
+      : matches.find((e) => e.expiresAt == null && addQuantities(e, item) !== null);
+    if (match) {
+      Object.assign(match, addQuantities(match, item), {
+        purchasedAt: item.purchasedAt ?? match.purchasedAt ?? null,
+      });
+      if (match.id) updatedIds.add(match.id);
+    } else {
+      creates.push({
+        name,
+        quantity: item.quantity ?? null,
+        unit: item.unit ?? null,
+        category: item.category ?? null,
+        purchasedAt: item.purchasedAt ?? null,
+        expiresAt: item.expiresAt ?? null,
+      });
+    }
+  }
+
+  return {
+    creates,
+    updates: entries
+      .filter((entry) => updatedIds.has(entry.id))
+      .map(({ id, quantity, unit, purchasedAt }) => ({
+        id,
+        updates: {
+          quantity: quantity ?? null,
+          unit: unit ?? null,
+          purchasedAt: purchasedAt ?? null,
+          isLow: false,
+        },
+      })),
+  };
+};
+
+/**
+ * Estimates when a bought item expires from its category's typical shelf life.
+ * @returns {Date|null} null for categories that keep
+ */
+export const estimateExpiry = (category, purchasedAt) => {
+  const days = SHELF_LIFE_DAYS[category];
+  return days ? new Date(purchasedAt.getTime() + days * MS_PER_DAY) : null;
+};
+
+/**
+ * Turns checked list items into pantry items, dated when they were checked off.
+ * @param {Array<Object>} listItems - Checked items from a list
+ * @param {Date} [now] - Purchase date for items without a check-off time
+ * @returns {Array<Object>} Items ready for `planPantryRestock`
+ */
+export const toPantryItems = (listItems, now = new Date()) => listItems.map((item) => {
+  const purchasedAt = toDate(item.checkedAt) ?? now;
+  return {
+    name: item.name,
+    quantity: item.quantity ?? null,
+    unit: item.unit ?? null,
+    category: item.category ?? null,
+    purchasedAt,
+    expiresAt: estimateExpiry(item.category, purchasedAt),
+  };
+});
+
+/**
+ * Lists pantry items that have expired or expire within `withinDays`.
+ * @returns {Array<{item: Object, daysLeft: number}>} Soonest first
+ */
+export const getExpiringItems = (pantry, now = new Date(), withinDays = EXPIRING_SOON_DAYS) => pantry
+  .map((item) => ({ item, daysLeft: daysUntil(item.expiresAt, now) }))
+  .filter(({ daysLeft }) => daysLeft != null && daysLeft <= withinDays)
+  .sort((a, b) => a.daysLeft - b.daysLeft);
@@ -0,0 +1,167 @@
+/**
+ * Price tracking - turns recorded prices into per-item lookups and estimates.
+ * Every price entered for an item is kept as an entry in the user's price
+ * history, keyed by item name and store. Entries carry a `unitPrice` (price per
+ * one of `unit`, or per item when there is no unit) so prices paid for
+ * different amounts can be compared.
+ */
+
+import { toDate } from '../utils/dates.js';
+
+const CURRENCY = 'USD';
+
+const currencyFormat = new Intl.NumberFormat(undefined, { style: 'currency', currency: CURRENCY });
+
+/** Formats an amount of money, e.g. "$3.49". */
+export const formatPrice = (amount) => currencyFormat.format(amount);
+
+/** Key used to match items to price history regardless of capitalization. */
+export const priceKey = (name) => name.trim().toLowerCase();
+
+/**
+ * Total cost of an item line from its own recorded price.
+ * Per-unit prices are multiplied by the quantity (a missing quantity counts as 1).
+ * @returns {number|null} null if the item has no price
+ */
+export const lineTotal = (item) => {
+  if (item.price == null) return null;
+  return item.pricePerUnit ? item.price * (item.quantity ?? 1) : item.price;
+};
+
+/**
+ * Builds a price history entry for an item that was just priced.
+ * @param {Object} item - The item, with its new price and pricePerUnit applied
+ * @param {Object|null} store - The store the item is assigned to
+ * @returns {Object} Entry to store in the user's price history
+ */
+export const buildPriceEntry = (item, store) => {
+  const quantity = item.quantity ?? null;
+  const unitPrice = item.pricePerUnit || !quantity ? item.price : item.price / quantity;
+  return {
+    key: priceKey(item.name),
+    name: item.name,
+    storeId: store?.id ?? null,
+    storeName: store?.name ?? null,
+    quantity,
+    unit: item.unit ?? null,
+    unitPrice,
+    total: lineTotal(item),
+  };
+};
+
+/**
+ * Groups price history entries by item key, newest first.
+ * @param {Array<Object>} entries - Price history entries
+ * @returns {Map<string, Array<Object>>}
+ */
+export const buildPriceIndex = (entries) => {
+  const index = new Map();
+  const sorted = [...entries].sort((a, b) => (toDate(b.paidAt) ?? 0) - (toDate(a.paidAt) ?? 0));
+  for (const entry of sorted) {
+    if (!index.has(entry.key)) index.set(entry.key, []);
+    index.get(entry.key).push(entry);
+  }
+  return index;
+};
+
+/**
+ * Most recent price paid for an item, optionally at a specific store.
+ * @returns {Object|null} The newest matching entry
+ */
+export const getLastPrice = (index, name, storeId = null) => {
+  const entries = index.get(priceKey(name)) ?? [];
+  if (storeId) {
+    return entries.find((e) => e.storeId === storeId) ?? null;
+  }
+  return entries[0] ?? null;
+};
+
+/**
+ * Store with the lowest latest price for an item. Only entries in the same
+ * unit as the most recent one are compared, so "per lb" and "per bag" prices
+ * never compete.
+ * @returns {{storeId: string, storeName: string, unitPrice: number, unit: string|null}|null}
+ *   null unless at least two stores have a price
+ */
+export const getCheapestStore = (index, name) => {
+  const entries = index.get(priceKey(name)) ?? [];
+  if (entries.length === 0) return null;
+  const unit = entries[0].unit ?? null;
+  const latestByStore = new Map();
+  for (const entry of entries) {
+    if (!entry.storeId || (entry.unit ?? null) !== unit || latestByStore.has(entry.storeId)) continue;
+    latestByStore.set(entry.storeId, entry);
+  }
+  if (latestByStore.size < 2) return null;
+  const cheapest = [...latestByStore.values()].reduce((best, e) => (e.unitPrice < best.unitPrice ? e : best));
+  return {
+    storeId: cheapest.storeId,
+    storeName: cheapest.storeName,
+    unitPrice: cheapest.unitPrice,
+    unit,
+  };
+};
+
+/**
+ * Estimated cost of an item line. Uses the price actually paid when there is
+ * one, then the item's own estimated cost, then the last price paid (at its
+ * store if possible), scaled to the item's quantity when the units match.
+ * @returns {number|null} null if nothing is known about the price
+ */
+export const estimateItemCost = (index, item) => {
+  const own = lineTotal(item);
+  if (own != null) return own;
+  if (item.estimatedCost != null) return item.estimatedCost;
+  const last = getLastPrice(index, item.name, item.store) ?? getLastPrice(index, item.name);
+  if (!last) return null;
+  if ((last.unit ?? null) === (item.unit ?? null) && item.quantity != null) {
+    return last.unitPrice * item.quantity;
+  }
+  return last.total ?? last.unitPrice;
+};
+
+/**
+ * Estimated total for a set of items.
+ * @returns {{total: number, pricedCount: number, unpricedCount: number}}
+ */
+export const estimateTotal = (index, items) => {
+  let total = 0;
+  let pricedCount = 0;
+  for (const item of items) {
+    const cost = estimateItemCost(index, item);
+    if (cost != null) {
+      total += cost;
+      pricedCount++;
+    }
+  }
+  return { total, pricedCount, unpricedCount: items.length - pricedCount };
+};
+
+/**
+ * Compares a list's spending against its budget.
+ * Checked items count as spent; unchecked items as estimated remaining.
+ * @param {Map} index - Price index (see buildPriceIndex)
+ * @param {Array<Object>} items - The list's items
+ * @param {number|null} budget - The list's budget, if any
+ * @returns {{
+ *   spent: number,
+ *   remaining: number,
+ *   projected: number,
+ *   budget: number|null,
+ *   isOverBudget: boolean,
+ *   unpricedCount: number
+ * }}
+ */
+export const getBudgetSummary = (index, items, budget) => {
+  const spent = estimateTotal(index, items.filter((i) => i.isChecked));
+  const remaining = estimateTotal(index, items.filter((i) => !i.isChecked));
+  const projected = spent.total + remaining.total;
+  return {
+    spent: spent.total,
+    remaining: remaining.total,
+    projected,
+    budget: budget ?? null,
+    isOverBudget: budget != null && projected > budget,
+    unpricedCount: spent.unpricedCount + remaining.unpricedCount,
+  };
+};
@@ -0,0 +1,74 @@
+/**
+ * Purchase intervals - estimates how often each item is bought from history
+ * timestamps and finds the ones that are probably running low.
+ */
+
+import { normalizeForMatching } from '../utils/normalize.js';
+import { MS_PER_DAY, toDate } from '../utils/dates.js';
+
+/** An item needs this many separate purchases before its interval is trusted. */
+const MIN_PURCHASES = 3;
+
+/** Additions less than this many days apart count as the same purchase. */
+const SAME_PURCHASE_DAYS = 1;
+
+/**
+ * Items more than this many intervals overdue were probably given up on,
+ * so they stop being suggested.
+ */
+const MAX_OVERDUE_RATIO = 4;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Finds items whose usual repurchase interval has passed.
+ * The interval is the median gap between purchases, so one long holiday
+ * doesn't skew it.
+ * @param {Array<{name: string, addedAt: *}>} history - Past shopping items
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Array<{name: string, intervalDays: number, daysSince: number, overdueRatio: number}>}
+ *   Overdue items, most overdue (relative to their interval) first
+ */
+export const getOverdueItems = (history, now = Date.now()) => {
+  const byItem = new Map();
+  for (const entry of history) {
+    const addedAt = toDate(entry.addedAt);
+    const key = normalizeForMatching(entry.name);
+    if (!addedAt || !key) continue;
+    if (!byItem.has(key)) byItem.set(key, []);
+    byItem.get(key).push({ name: entry.name, time: addedAt.getTime() });
+  }
+
+  const overdue = [];
+  for (const entries of byItem.values()) {
+    entries.sort((a, b) => a.time - b.time);
+    const purchases = [];
+    for (const entry of entries) {
+      const last = purchases[purchases.length - 1];
+      if (last && entry.time - last.time < SAME_PURCHASE_DAYS * MS_PER_DAY) continue;
+      purchases.push(entry);
+    }
+    if (purchases.length < MIN_PURCHASES) continue;
+
+    const gaps = purchases.slice(1).map((p, i) => (p.time - purchases[i].time) / MS_PER_DAY);
+    const intervalDays = median(gaps);
+    // Use the latest entry, not the first of a purchase, for both name and time
+    const latest = entries[entries.length - 1];
+    const daysSince = (now - latest.time) / MS_PER_DAY;
+    const overdueRatio = daysSince / intervalDays;
+    if (overdueRatio < 1 || overdueRatio > MAX_OVERDUE_RATIO) continue;
+
+    overdue.push({
+      name: latest.name,
+      intervalDays: Math.round(intervalDays),
+      daysSince: Math.floor(daysSince),
+      overdueRatio,
+    });
+  }
+
+  return overdue.sort((a, b) => b.overdueRatio - a.overdueRatio);
+};
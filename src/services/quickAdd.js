@@ -0,0 +1,129 @@
+/**
+ * Natural-language quick-add parser.
+ * Turns text like "2 lb chicken thighs @costco aisle 7 !urgent" into a
+ * structured item: quantity, unit, name, store, aisle and priority.
+ * Store and aisle names are matched fuzzily against the user's stores.
+ */
+
+import { splitQuantity } from '../utils/units.js';
+import { findBestMatch } from '../utils/fuzzy.js';
+import { PRIORITIES, normalizePriority } from '../utils/priority.js';
+
+/** Strips a leading "aisle" word so "Aisle 7" and "7" compare equal. */
+const normalizeAisle = (aisle) => aisle.toLowerCase().replace(/^aisle\s*/, '').trim();
+
+/**
+ * Resolves a typed aisle against a set of aisles. Numeric aisles must match
+ * exactly ("7" never matches "17"); named aisles are matched fuzzily.
+ * @param {string} query
+ * @param {Array<{store: Object, aisle: string}>} candidates
+ * @returns {{store: Object, aisle: string}|null}
+ */
+const resolveAisle = (query, candidates) => {
+  const normalizedQuery = normalizeAisle(query);
+  if (/^\d+[a-z]?$/.test(normalizedQuery)) {
+    return candidates.find((c) => normalizeAisle(c.aisle) === normalizedQuery) ?? null;
+  }
+  return findBestMatch(normalizedQuery, candidates, (c) => normalizeAisle(c.aisle))?.item ?? null;
+};
+
+/**
+ * Pulls the @store, aisle and !priority markers out of the text.
+ * @returns {{words: string[], storeQuery: string|null, aisleQuery: string|null, priority: string|null}}
+ */
+const extractMarkers = (text) => {
+  const tokens = text.trim().split(/\s+/).filter(Boolean);
+  const words = [];
+  let storeQuery = null;
+  let aisleQuery = null;
+  let priority = null;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const lower = token.toLowerCase();
+
+    if (/^!+$/.test(token) && token.length >= 2) {
+      priority = PRIORITIES.URGENT;
+    } else if (token.startsWith('!') && normalizePriority(token.slice(1))) {
+      priority = normalizePriority(token.slice(1));
+    } else if (token.startsWith('@"')) {
+      // Quoted multi-word store: @"whole foods"
+      const parts = [token.slice(2)];
+      while (!parts[parts.length - 1].endsWith('"') && i + 1 < tokens.length) {
+        parts.push(tokens[++i]);
+      }
+      storeQuery = parts.join(' ').replace(/"$/, '');
+    } else if (token.startsWith('@') && token.length > 1) {
+      storeQuery = token.slice(1).replace(/[-_]/g, ' ');
+    } else if (lower === 'aisle' && i + 1 < tokens.length) {
+      aisleQuery = tokens[++i];
+    } else if (token.startsWith('#') && token.length > 1) {
+      aisleQuery = token.slice(1);
+    } else {
+      words.push(token);
+    }
+  }
+
+  return { words, storeQuery, aisleQuery, priority };
+};
+
+/**
+ * Parses quick-add text into item fields.
+ * @param {string} text - Raw input, e.g. "2 lb chicken thighs @costco aisle 7 !urgent"
+ * @param {Array<{id: string, name: string, aisles?: string[]}>} [stores=[]] - The user's stores
+ * @returns {{
+ *   name: string,
+ *   quantity: number|null,
+ *   unit: string|null,
+ *   store: Object|null,
+ *   aisle: string|null,
+ *   priority: string|null,
+ *   storeQuery: string|null,
+ *   aisleQuery: string|null
+ * }} Parsed fields. `storeQuery`/`aisleQuery` hold what was typed, so callers
+ *   can flag markers that didn't resolve to a known store or aisle.
+ */
+export const parseQuickAdd = (text, stores = []) => {
+  const { words, storeQuery, aisleQuery, priority } = extractMarkers(text);
+  const { quantity, unit, rest } = splitQuantity(words.join(' '));
+
+  let store = storeQuery
+    ? findBestMatch(storeQuery, stores, (s) => s.name)?.item ?? null
+    : null;
+
+  let aisle = null;
+  if (aisleQuery) {
+    const searchStores = store ? [store] : stores;
+    const candidates = searchStores.flatMap((s) => (s.aisles ?? []).map((a) => ({ store: s, aisle: a })));
+    const match = resolveAisle(aisleQuery, candidates);
+    if (match) {
+      aisle = match.aisle;
+      // An aisle that only exists in one store implies that store
+      if (!store) {
+        const owners = new Set(
+          candidates.filter((c) => c.aisle === match.aisle).map((c) => c.store.id)
+        );
+        if (owners.size === 1) store = match.store;
+        else aisle = null;
+      }
+    }
+  }
+
+  return {
+    name: rest,
+    quantity,
+    unit,
+    store,
+    aisle,
+    priority,
+    storeQuery,
+    aisleQuery,
+  };
+};
+
+/**
+ * Whether the text uses any quick-add syntax beyond a plain item name.
+ */
+export const hasQuickAddMarkers = (parsed) => Boolean(
+  parsed.quantity != null || parsed.unit || parsed.storeQuery || parsed.aisleQuery || parsed.priority
+);
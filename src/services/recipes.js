@@ -1,53 +1,35 @@
 /**
  * Recipe parsing service - converts recipe text to structured shopping list items.
- * Handles common recipe formats with ingredient quantities and units.
+ * Handles common recipe formats with ingredient quantities and units, imports
+ * recipes from web pages (schema.org JSON-LD or microdata), and scales saved
+ * recipes to the number of servings wanted.
  */
 
 import { v4 as uuidv4 } from 'uuid';
 import { categorizeItem } from '../utils/categories.js';
+import { UNITS } from '../utils/units.js';
+import { parseIngredient } from './ingredientParser.js';
 
-/**
- * Common cooking measurements to strip from ingredient names.
- */
-const UNITS = [
-  'cups?', 'cup', 'tbsp', 'tablespoons?', 'tsp', 'teaspoons?',
-  'oz', 'ounces?', 'lbs?', 'pounds?', 'grams?', 'kg',
-  'ml', 'liters?', 'quarts?', 'pints?', 'gallons?',
-  'cloves?', 'slices?', 'pieces?', 'cans?', 'packages?',
-  'bunches?', 'heads?', 'stalks?', 'sprigs?', 'pinch(?:es)?',
-  'dash(?:es)?', 'handful(?:s)?',
-];
+/** Serving counts a recipe can be saved with or scaled to. */
+export const MIN_SERVINGS = 1;
+export const MAX_SERVINGS = 100;
 
-const UNIT_PATTERN = new RegExp(
-  `^[\\d./\\s-]+(?:${UNITS.join('|')})\\s+(?:of\\s+)?`,
-  'i'
+/** Shopping item notes for an ingredient: its preparation, and whether it's optional. */
+const ingredientNotes = (ingredient) => (
+  [ingredient.optional ? 'optional' : null, ingredient.preparation].filter(Boolean).join(', ') || null
 );
 
 /**
- * Strips quantity and unit prefix from an ingredient line.
- * "2 cups flour" -> "flour"
- * "1/2 lb ground beef" -> "ground beef"
- * @param {string} line - A single ingredient line
- * @returns {string} The ingredient name without quantity/unit
+ * Splits "salt and pepper to taste" into one ingredient per seasoning, since
+ * they're bought separately. Anything with an amount is left alone.
  */
-const stripQuantity = (line) => {
-  let cleaned = line
-    .replace(/\(.*?\)/g, '')   // Remove parenthetical notes
-    .replace(/,.*$/, '')       // Remove everything after comma (prep instructions)
-    .trim();
-
-  // Remove leading numbers and fractions
-  cleaned = cleaned.replace(/^[\d./\s-]+/, '').trim();
-
-  // Remove unit words
-  cleaned = cleaned.replace(UNIT_PATTERN, '').trim();
-
-  // If stripping removed everything, fall back to original
-  if (!cleaned) {
-    cleaned = line.replace(/^[\d./\s-]+/, '').trim();
+const splitSeasonings = (ingredient) => {
+  const pair = ingredient.name.match(/^(\S+) and (\S+)$/i);
+  if (!pair || ingredient.quantity != null || ingredient.unit != null
+    || !/\bto taste\b/.test(ingredient.preparation ?? '')) {
+    return [ingredient];
   }
-
-  return cleaned;
+  return [{ ...ingredient, name: pair[1] }, { ...ingredient, name: pair[2] }];
 };
 
 /**
@@ -111,41 +93,61 @@ export const RECIPE_TEMPLATES = [
   },
 ];
 
+/**
+ * Splits recipe text into ingredient lines, dropping list bullets, blank lines
+ * and section headings like "Instructions".
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const splitIngredientLines = (text) => text
+  .split('\n')
+  .map((line) => line.replace(/^[-*•]\s*/, '').trim())
+  .filter((line) => line.length > 0 && !/^(instructions|directions|steps|method)/i.test(line));
+
 /**
  * Parses raw recipe text into structured shopping list items.
  * Handles various formats:
  * - "2 cups flour"
  * - "- 1 lb ground beef"
  * - "3 cloves garlic, minced"
+ * - "2-3 cloves garlic" (the top of a range is what gets bought)
+ * Quantities and units are kept on the item; lines without one get null.
+ * Preparation ("minced") and "optional" are kept as the item's notes.
+ * An ingredient listed twice is returned twice, so aggregation can add up
+ * both amounts.
  * @param {string} recipeText - Raw recipe text with one ingredient per line
- * @returns {Array<{id: string, name: string, category: string, isChecked: boolean}>}
+ * @returns {Array<{
+ *   id: string,
+ *   name: string,
+ *   category: string,
+ *   quantity: number|null,
+ *   unit: string|null,
+ *   notes: string|null,
+ *   isChecked: boolean
+ * }>}
  */
 export const parseRecipeText = (recipeText) => {
   if (!recipeText?.trim()) {
     return [];
   }
 
-  const lines = recipeText
-    .split('\n')
-    .map((line) => line.replace(/^[-*•]\s*/, '').trim())
-    .filter((line) => line.length > 0 && !/^(instructions|directions|steps|method)/i.test(line));
+  const lines = splitIngredientLines(recipeText);
 
   const items = [];
-  const seen = new Set();
 
-  for (const line of lines) {
-    const name = stripQuantity(line);
-    const key = name.toLowerCase();
-
-    if (key.length < 2 || seen.has(key)) {
+  for (const ingredient of lines.map(parseIngredient).flatMap(splitSeasonings)) {
+    const { name } = ingredient;
+    if (name.length < 2) {
       continue;
     }
 
-    seen.add(key);
     items.push({
       id: uuidv4(),
       name: name.charAt(0).toUpperCase() + name.slice(1),
       category: categorizeItem(name),
+      quantity: ingredient.quantityMax ?? ingredient.quantity,
+      unit: ingredient.unit,
+      notes: ingredientNotes(ingredient),
       isChecked: false,
     });
   }
@@ -153,16 +155,231 @@ export const parseRecipeText = (recipeText) => {
   return items;
 };
 
+/** Anything with a tag in it is treated as HTML rather than plain ingredient lines. */
+const HTML_TAG = /<\/?[a-z][^>]*>/i;
+
+/** Whether pasted text is page HTML rather than plain ingredient lines. */
+export const isHtml = (text) => HTML_TAG.test(text);
+
+/** Block-level closing tags that end a line when a page is flattened to text. */
+const LINE_BREAK_TAGS = /<(br|\/p|\/li|\/div|\/h[1-6]|\/tr|\/dd|\/dt)\b[^>]*>/gi;
+
+/** Decodes entities like "&amp;" and "&#189;" that pages leave in JSON-LD strings. */
+const decodeEntities = (text) => (
+  new DOMParser().parseFromString(text, 'text/html').documentElement.textContent
+);
+
+const cleanText = (text) => decodeEntities(String(text)).replace(/\s+/g, ' ').trim();
+
+/**
+ * Reads a serving count from a recipe yield, which sites write as 4, "4",
+ * "4 servings", "Serves 4-6" or a list of those.
+ * @returns {number|null} The first whole number found, or null
+ */
+const parseYield = (recipeYield) => {
+  const values = Array.isArray(recipeYield) ? recipeYield : [recipeYield];
+  for (const value of values) {
+    const match = String(value ?? '').match(/\d+/);
+    const servings = match ? Number(match[0]) : 0;
+    if (servings >= MIN_SERVINGS && servings <= MAX_SERVINGS) return servings;
+  }
+  return null;
+};
+
+const isRecipeType = (type) => (Array.isArray(type) ? type : [type]).includes('Recipe');
+
+/** Finds the first Recipe node in parsed JSON-LD, looking inside arrays and @graph. */
+const findRecipeNode = (node) => {
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      const found = findRecipeNode(child);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (!node || typeof node !== 'object') return null;
+  if (isRecipeType(node['@type'])) return node;
+  return node['@graph'] ? findRecipeNode(node['@graph']) : null;
+};
+
+/** Reads the recipe from the page's schema.org JSON-LD, if it has one. */
+const extractJsonLd = (doc) => {
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    let data;
+    try {
+      data = JSON.parse(script.textContent);
+    } catch {
+      continue; // Sites sometimes ship broken JSON-LD; try the next block
+    }
+    const recipe = findRecipeNode(data);
+    // Older markup uses "ingredients" instead of "recipeIngredient"
+    const ingredients = recipe?.recipeIngredient ?? recipe?.ingredients;
+    if (!Array.isArray(ingredients) || ingredients.length === 0) continue;
+    return {
+      name: cleanText(recipe.name ?? ''),
+      servings: parseYield(recipe.recipeYield),
+      ingredientLines: ingredients
+        .filter((line) => typeof line === 'string')
+        .map(cleanText)
+        .filter(Boolean),
+      source: 'json-ld',
+    };
+  }
+  return null;
+};
+
+/** Reads the recipe from schema.org microdata (itemprop attributes), if the page has it. */
+const extractMicrodata = (doc) => {
+  const scope = doc.querySelector('[itemtype*="schema.org/Recipe"]');
+  if (!scope) return null;
+  const ingredients = [...scope.querySelectorAll('[itemprop="recipeIngredient"], [itemprop="ingredients"]')];
+  if (ingredients.length === 0) return null;
+  const read = (element) => element?.getAttribute('content') ?? element?.textContent ?? '';
+  // Skip properties of nested items, like the author's name
+  const readOwn = (prop) => read([...scope.querySelectorAll(`[itemprop="${prop}"]`)]
+    .find((element) => element.parentElement.closest('[itemscope]') === scope));
+  return {
+    name: cleanText(readOwn('name')),
+    servings: parseYield(readOwn('recipeYield')),
+    ingredientLines: ingredients.map((element) => cleanText(read(element))).filter(Boolean),
+    source: 'microdata',
+  };
+};
+
+/** Flattens a page to text, one line per paragraph or list item, for the line heuristics. */
+const extractText = (html) => {
+  const doc = new DOMParser().parseFromString(html.replace(LINE_BREAK_TAGS, '$&\n'), 'text/html');
+  doc.querySelectorAll('script, style, noscript, template').forEach((element) => element.remove());
+  return {
+    name: cleanText(doc.querySelector('h1')?.textContent ?? doc.title ?? ''),
+    servings: null,
+    ingredientLines: splitIngredientLines(doc.body?.textContent ?? ''),
+    source: 'text',
+  };
+};
+
+/**
+ * Pulls a recipe out of pasted page HTML or a saved .html file.
+ * Prefers schema.org Recipe JSON-LD, then microdata, and otherwise falls back
+ * to treating the page text as one ingredient per line.
+ * @param {string} html - Page HTML
+ * @returns {{
+ *   name: string,
+ *   servings: number|null,
+ *   ingredientLines: Array<string>,
+ *   source: 'json-ld'|'microdata'|'text'
+ * }}
+ */
+export const extractRecipeFromHtml = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return extractJsonLd(doc) ?? extractMicrodata(doc) ?? extractText(html);
+};
+
+/**
+ * Turns pasted text or page HTML into a recipe ready for the recipe box
+ * editor. Plain text is read one ingredient per line.
+ * @param {string} text - Page HTML or ingredient lines
+ * @returns {{
+ *   name: string,
+ *   servings: number|null,
+ *   ingredients: Array<Object>,
+ *   source: 'json-ld'|'microdata'|'text'
+ * }} Ingredients as returned by parseIngredient
+ */
+export const importRecipe = (text) => {
+  const { ingredientLines, ...recipe } = isHtml(text)
+    ? extractRecipeFromHtml(text)
+    : { name: '', servings: null, ingredientLines: splitIngredientLines(text), source: 'text' };
+  return {
+    ...recipe,
+    ingredients: ingredientLines
+      .map(parseIngredient)
+      .filter((ingredient) => ingredient.name.length >= 2),
+  };
+};
+
 /**
  * Converts a recipe template's ingredients into shopping list items.
  * @param {Object} template - A recipe template from RECIPE_TEMPLATES
- * @returns {Array<{id: string, name: string, category: string, isChecked: boolean}>}
+ * @returns {Array<{id: string, name: string, category: string, quantity: null, unit: null, isChecked: boolean}>}
  */
 export const recipeTemplateToItems = (template) => {
   return template.ingredients.map((ingredient) => ({
     id: uuidv4(),
     name: ingredient.charAt(0).toUpperCase() + ingredient.slice(1),
     category: categorizeItem(ingredient),
+    quantity: null,
+    unit: null,
     isChecked: false,
   }));
 };
+
+/**
+ * Turns comma-separated tag text into a clean tag list.
+ * "Dinner, quick ,dinner" -> ["dinner", "quick"]
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export const parseTags = (text) => [...new Set(
+  text.split(',').map((tag) => tag.trim().toLowerCase()).filter(Boolean)
+)];
+
+/**
+ * Every tag used in the recipe box, alphabetically.
+ * @param {Array<{tags?: Array<string>}>} recipes
+ * @returns {Array<string>}
+ */
+export const getRecipeTags = (recipes) => (
+  [...new Set(recipes.flatMap((recipe) => recipe.tags ?? []))].sort()
+);
+
+/**
+ * Scales a recipe's ingredients from its base serving count to another one.
+ * Ingredients without a quantity ("salt to taste") stay as they are.
+ * @param {Array<{name: string, quantity: number|null, quantityMax?: number|null, unit: string|null}>} ingredients
+ * @param {number} baseServings - Servings the quantities are written for
+ * @param {number} servings - Servings wanted
+ * @returns {Array<Object>} The ingredients with scaled quantities
+ */
+export const scaleIngredients = (ingredients, baseServings, servings) => {
+  const factor = servings / (baseServings || 1);
+  const scale = (quantity) => (quantity == null ? null : Math.round(quantity * factor * 100) / 100);
+  return ingredients.map((ingredient) => ({
+    ...ingredient,
+    quantity: scale(ingredient.quantity),
+    quantityMax: scale(ingredient.quantityMax ?? null),
+  }));
+};
+
+/**
+ * Converts a saved recipe into shopping list items for a number of servings.
+ * Ranges are bought at the top end. Things bought whole (eggs, cans, bunches)
+ * are rounded up, since 2.25 cans can't be bought; measured amounts keep their
+ * scaled value. Preparation notes become item notes.
+ * @param {Object} recipe - A saved recipe with `servings` and `ingredients`
+ * @param {number} [servings=recipe.servings]
+ * @returns {Array<{
+ *   id: string,
+ *   name: string,
+ *   category: string,
+ *   quantity: number|null,
+ *   unit: string|null,
+ *   notes: string|null,
+ *   isChecked: boolean
+ * }>}
+ */
+export const recipeToItems = (recipe, servings = recipe.servings) => (
+  scaleIngredients(recipe.ingredients, recipe.servings, servings).map((ingredient) => {
+    const quantity = ingredient.quantityMax ?? ingredient.quantity;
+    const isWhole = !UNITS[ingredient.unit]?.dimension;
+    return {
+      id: uuidv4(),
+      name: ingredient.name.charAt(0).toUpperCase() + ingredient.name.slice(1),
+      category: categorizeItem(ingredient.name),
+      quantity: isWhole && quantity != null ? Math.ceil(quantity) : quantity,
+      unit: ingredient.unit ?? null,
+      notes: ingredientNotes(ingredient),
+      isChecked: false,
+    };
+  })
+);
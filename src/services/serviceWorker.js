@@ -0,0 +1,78 @@
+/**
+ * Service worker registration and update detection.
+ * A new build installs in the background and waits; the UI is told an update
+ * is ready and reloads into it only when the user asks.
+ */
+
+let updateReady = false;
+let waitingWorker = null;
+let isUpdateRequested = false;
+const listeners = new Set();
+
+const setUpdateReady = (worker) => {
+  waitingWorker = worker;
+  updateReady = true;
+  listeners.forEach((listener) => listener());
+};
+
+/** Watches a registration for a newly installed worker waiting to take over. */
+const watchForUpdates = (registration) => {
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    setUpdateReady(registration.waiting);
+  }
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      // Without a controller this is the first install, not an update
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        setUpdateReady(worker);
+      }
+    });
+  });
+};
+
+/**
+ * Registers /sw.js in production builds. In development Vite serves modules
+ * directly and no worker is built.
+ */
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js')
+      .then((registration) => {
+        watchForUpdates(registration);
+        // Long-lived tabs (e.g. left open in-store) should still notice deploys
+        setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+      })
+      .catch((err) => console.error('Service worker registration failed:', err));
+  });
+
+  // A first install also takes control (clients.claim), so only an update the
+  // user asked for reloads the page
+  let isReloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!isUpdateRequested || isReloading) return;
+    isReloading = true;
+    window.location.reload();
+  });
+};
+
+/** Activates the waiting worker; the page reloads once it takes control. */
+export const applyUpdate = () => {
+  if (!waitingWorker) return;
+  isUpdateRequested = true;
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+};
+
+/** @returns {boolean} Whether a new version is installed and waiting */
+export const isUpdateReady = () => updateReady;
+
+/**
+ * Subscribes to update availability (compatible with useSyncExternalStore).
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeUpdateReady = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,74 @@
+/**
+ * Shopping route - orders list items into "stops" for in-store shopping mode.
+ * With a store selected, stops follow the store's aisle order from the
+ * AisleEditor; items without a known aisle are grouped by category after the
+ * last aisle. Items assigned to a different store are left out.
+ */
+
+import { getAllCategoryLabels, getAllCategoryKeys, getDisplayCategory } from '../utils/categories.js';
+
+/**
+ * Picks the store with the most unchecked items, for preselecting a route.
+ * @param {Array<Object>} items
+ * @param {Array<Object>} stores
+ * @returns {string|null} Store ID, or null if no item is assigned to a store
+ */
+export const getBusiestStoreId = (items, stores) => {
+  let best = null;
+  let bestCount = 0;
+  for (const store of stores) {
+    const count = items.filter((i) => !i.isChecked && i.store === store.id).length;
+    if (count > bestCount) {
+      best = store.id;
+      bestCount = count;
+    }
+  }
+  return best;
+};
+
+/**
+ * Builds the ordered stops for a shopping trip.
+ * @param {Array<Object>} items - Items to route (checked ones stay in their stop)
+ * @param {Object|null} store - The store being shopped, or null for any store
+ * @param {Array<Object>} [customCategories=[]]
+ * @param {Object|null} [categorySettings=null] - The user's built-in category settings
+ * @returns {Array<{key: string, label: string, isAisle: boolean, items: Array<Object>}>}
+ *   Non-empty stops in walking order
+ */
+export const buildShoppingRoute = (items, store, customCategories = [], categorySettings = null) => {
+  const routeItems = store
+    ? items.filter((i) => !i.store || i.store === store.id)
+    : items;
+  const aisles = store?.aisles ?? [];
+  const stops = [];
+
+  const byAisle = {};
+  const remaining = [];
+  for (const item of routeItems) {
+    // Aisles are per store, so an item's aisle only counts in its own store
+    if (store && item.store === store.id && item.aisle && aisles.includes(item.aisle)) {
+      (byAisle[item.aisle] ??= []).push(item);
+    } else {
+      remaining.push(item);
+    }
+  }
+
+  for (const aisle of aisles) {
+    if (byAisle[aisle]?.length) {
+      stops.push({ key: `aisle:${aisle}`, label: aisle, isAisle: true, items: byAisle[aisle] });
+    }
+  }
+
+  const labels = getAllCategoryLabels(customCategories, categorySettings);
+  const categoryOrder = getAllCategoryKeys(customCategories, categorySettings);
+  const byCategory = {};
+  for (const item of remaining) {
+    const cat = getDisplayCategory(item.category, categoryOrder);
+    (byCategory[cat] ??= []).push(item);
+  }
+  for (const cat of categoryOrder.filter((key) => byCategory[key])) {
+    stops.push({ key: `category:${cat}`, label: labels[cat] ?? cat, isAisle: false, items: byCategory[cat] });
+  }
+
+  return stops;
+};
@@ -5,7 +5,6 @@
 const STORAGE_KEYS = {
   LISTS: 'shoppingListAI_lists',
   HISTORY: 'shoppingListAI_history',
-  RECIPES: 'shoppingListAI_recipes',
   CUSTOM_CATEGORIES: 'shoppingListAI_customCategories',
 };
 
@@ -50,12 +49,6 @@ export const loadHistory = () => readStorage(STORAGE_KEYS.HISTORY, []);
 /** @param {Array} history - The item history to persist */
 export const saveHistory = (history) => writeStorage(STORAGE_KEYS.HISTORY, history);
 
-/** @returns {Array} Saved recipes */
-export const loadRecipes = () => readStorage(STORAGE_KEYS.RECIPES, []);
-
-/** @param {Array} recipes - The recipes to persist */
-export const saveRecipes = (recipes) => writeStorage(STORAGE_KEYS.RECIPES, recipes);
-
 /** @returns {Array} Custom category definitions */
 export const loadCustomCategories = () => readStorage(STORAGE_KEYS.CUSTOM_CATEGORIES, []);
 
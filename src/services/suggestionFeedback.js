@@ -0,0 +1,60 @@
+/**
+ * Suggestion feedback - what the user told us about suggestions they don't
+ * want: dismissed for one list, snoozed for a few days, or never suggested.
+ * One feedback entry per item name, stored under users/{uid}/suggestionFeedback.
+ */
+
+import { toDate } from '../utils/dates.js';
+
+/** Each past dismissal moves a suggestion this many places further back. */
+export const DISMISS_PENALTY = 3;
+
+/** Key shared by suggestions and their feedback: names compare case-insensitively. */
+export const feedbackKey = (name) => name.trim().toLowerCase();
+
+/**
+ * Indexes feedback entries by item key.
+ * @param {Array<{key: string}>} feedback - From subscribeSuggestionFeedback
+ * @returns {Map<string, Object>}
+ */
+export const buildFeedbackIndex = (feedback) => new Map(feedback.map((entry) => [entry.key, entry]));
+
+/**
+ * Whether feedback hides a suggestion right now.
+ * A dismissal only applies to its list, and only until the item is added
+ * again - after that it's fair to suggest it next time.
+ * @param {Object|undefined} entry - Feedback for the item
+ * @param {Object} context
+ * @param {string|null} context.listId - List the suggestions are for
+ * @param {number|null} context.lastAddedAt - When the item was last added, in milliseconds
+ * @param {number} context.now - Current time in milliseconds
+ * @returns {boolean}
+ */
+export const isSuggestionHidden = (entry, { listId, lastAddedAt, now }) => {
+  if (!entry) return false;
+  if (entry.neverSuggest) return true;
+  if ((toDate(entry.snoozedUntil)?.getTime() ?? 0) > now) return true;
+  if (!listId || !entry.dismissedLists || !(listId in entry.dismissedLists)) return false;
+  // A dismissal still being written has no timestamp yet, but is newer than anything
+  const dismissedAt = toDate(entry.dismissedLists[listId])?.getTime() ?? now;
+  return lastAddedAt == null || lastAddedAt < dismissedAt;
+};
+
+/**
+ * Items the user has hidden everywhere (never suggest, or snoozed), so they
+ * can be brought back.
+ * @param {Array<Object>} feedback - From subscribeSuggestionFeedback
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Array<{name: string, neverSuggest: boolean, snoozedUntil: Date|null}>}
+ */
+export const getHiddenSuggestions = (feedback, now = Date.now()) => feedback
+  .map((entry) => {
+    const snoozedUntil = toDate(entry.snoozedUntil);
+    return {
+      name: entry.name,
+      neverSuggest: Boolean(entry.neverSuggest),
+      snoozedUntil: snoozedUntil && snoozedUntil.getTime() > now ? snoozedUntil : null,
+    };
+  })
+  .filter((entry) => entry.neverSuggest || entry.snoozedUntil)
+  .sort((a, b) => a.name.localeCompare(b.name));
@@ -1,34 +1,23 @@
 /**
- * AI suggestion engine that recommends items based on shopping history,
- * frequently purchased items, and common pairings.
+ * AI suggestion engine that recommends items based on shopping history:
+ * items that are probably running low (see purchaseIntervals.js), items
+ * usually bought together (see associations.js), and frequently and recently
+ * purchased items. Feedback from the user (see suggestionFeedback.js) hides
+ * suggestions and pushes often-dismissed ones further back.
+ * Each suggestion remembers the store and aisle the item was last bought at,
+ * so adding it fills them in, and can be narrowed down to one store.
  */
 
 import { categorizeItem } from '../utils/categories.js';
-
-/**
- * Common item pairings - when one item is added, suggest the other.
- * Each pair is bidirectional.
- */
-const ITEM_PAIRINGS = [
-  ['bread', 'butter'],
-  ['pasta', 'tomato sauce'],
-  ['chips', 'salsa'],
-  ['hamburger buns', 'ground beef'],
-  ['hot dog buns', 'hot dogs'],
-  ['cereal', 'milk'],
-  ['peanut butter', 'jelly'],
-  ['eggs', 'bacon'],
-  ['lettuce', 'tomatoes'],
-  ['tortillas', 'cheese'],
-  ['rice', 'beans'],
-  ['spaghetti', 'parmesan'],
-  ['coffee', 'cream'],
-  ['crackers', 'cheese'],
-  ['avocado', 'lime'],
-  ['chicken', 'rice'],
-  ['salmon', 'lemon'],
-  ['steak', 'potatoes'],
-];
+import { toDate } from '../utils/dates.js';
+import { getAssociatedItems } from './associations.js';
+import { getOverdueItems } from './purchaseIntervals.js';
+import {
+  buildFeedbackIndex,
+  DISMISS_PENALTY,
+  feedbackKey,
+  isSuggestionHidden,
+} from './suggestionFeedback.js';
 
 /**
  * Calculates item frequency from shopping history.
@@ -45,55 +34,122 @@ const getItemFrequency = (history) => {
 };
 
 /**
- * Finds paired item suggestions based on what's currently in the list.
- * @param {Array<{name: string}>} currentItems - Items currently in the list
- * @returns {string[]} Suggested item names from pairings
+ * Finds when each item was last added.
+ * @param {Array<{name: string, addedAt: *}>} history - Past items
+ * @returns {Map<string, number>} Item key -> time in milliseconds
  */
-const getPairingSuggestions = (currentItems) => {
-  const currentNames = new Set(currentItems.map((i) => i.name.toLowerCase()));
-  const suggestions = [];
+const getLastAdded = (history) => {
+  const lastAdded = new Map();
+  for (const item of history) {
+    const time = toDate(item.addedAt)?.getTime();
+    const key = feedbackKey(item.name);
+    if (time != null && time > (lastAdded.get(key) ?? -Infinity)) lastAdded.set(key, time);
+  }
+  return lastAdded;
+};
 
-  for (const [a, b] of ITEM_PAIRINGS) {
-    if (currentNames.has(a) && !currentNames.has(b)) {
-      suggestions.push(b);
-    }
-    if (currentNames.has(b) && !currentNames.has(a)) {
-      suggestions.push(a);
+/**
+ * Finds the store and aisle each item was last bought at, from finished trips.
+ * Stores that were deleted, and aisles no longer in their store, are ignored.
+ * @param {Array<Object>} trips - Finished trips, each with `items`
+ * @param {Array<{id: string, aisles: Array<string>}>} stores - The user's stores
+ * @returns {Map<string, {store: string, aisle: string|null, time: number}>} Item key -> placement
+ */
+const getLastPlacements = (trips, stores) => {
+  const storesById = new Map(stores.map((store) => [store.id, store]));
+  const placements = new Map();
+  for (const trip of trips) {
+    // A trip still being saved has no finish time yet, but is the newest
+    const time = toDate(trip.finishedAt)?.getTime() ?? Infinity;
+    for (const item of trip.items) {
+      const store = storesById.get(item.store ?? trip.storeId);
+      const key = feedbackKey(item.name);
+      if (!store || time <= (placements.get(key)?.time ?? -Infinity)) continue;
+      placements.set(key, {
+        store: store.id,
+        aisle: item.aisle && store.aisles?.includes(item.aisle) ? item.aisle : null,
+        time,
+      });
     }
   }
-
-  return suggestions;
+  return placements;
 };
 
 /**
  * Generates AI-powered suggestions based on history and current list.
  * @param {Array<{name: string, addedAt: string}>} history - Past shopping items
  * @param {Array<{name: string}>} currentItems - Items currently in the list
- * @param {number} [maxSuggestions=8] - Maximum number of suggestions to return
- * @returns {Array<{name: string, reason: string, category: string}>} Suggested items
+ * @param {Object} [options]
+ * @param {Map|null} [options.associationRules=null] - From buildAssociationRules
+ * @param {Array<Object>} [options.feedback=[]] - From subscribeSuggestionFeedback
+ * @param {string|null} [options.listId=null] - List the suggestions are for, for dismissals
+ * @param {Array<Object>} [options.customCategories=[]] - User-defined categories
+ * @param {Object|null} [options.learned=null] - From buildCategoryLearning
+ * @param {Array<Object>} [options.trips=[]] - Finished trips, for where items were bought
+ * @param {Array<Object>} [options.stores=[]] - The user's stores
+ * @param {string|null} [options.storeId=null] - Leave out items last bought at other stores
+ * @param {number} [options.maxSuggestions=8] - Maximum number of suggestions to return
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Array<{
+ *   name: string,
+ *   reason: string,
+ *   category: string,
+ *   store: string|null,
+ *   aisle: string|null
+ * }>} Suggested items
  */
-export const getSuggestions = (history, currentItems, maxSuggestions = 8) => {
-  const currentNames = new Set(currentItems.map((i) => i.name.toLowerCase()));
+export const getSuggestions = (history, currentItems, {
+  associationRules = null,
+  feedback = [],
+  listId = null,
+  customCategories = [],
+  learned = null,
+  trips = [],
+  stores = [],
+  storeId = null,
+  maxSuggestions = 8,
+  now = Date.now(),
+} = {}) => {
+  const currentNames = new Set(currentItems.map((i) => feedbackKey(i.name)));
+  const feedbackIndex = buildFeedbackIndex(feedback);
+  const lastAdded = getLastAdded(history);
+  const placements = getLastPlacements(trips, stores);
   const suggestions = [];
   const seen = new Set();
 
   const addSuggestion = (name, reason) => {
-    const key = name.toLowerCase();
+    const key = feedbackKey(name);
     if (currentNames.has(key) || seen.has(key)) {
       return;
     }
     seen.add(key);
+    if (isSuggestionHidden(feedbackIndex.get(key), { listId, lastAddedAt: lastAdded.get(key), now })) {
+      return;
+    }
+    const placement = placements.get(key);
+    // Items with no known store can be bought anywhere
+    if (storeId && placement && placement.store !== storeId) {
+      return;
+    }
     suggestions.push({
       name,
       reason,
-      category: categorizeItem(name),
+      category: categorizeItem(name, customCategories, learned),
+      store: placement?.store ?? null,
+      aisle: placement?.aisle ?? null,
     });
   };
 
-  // Pairing-based suggestions
-  const pairings = getPairingSuggestions(currentItems);
-  for (const name of pairings) {
-    addSuggestion(name, 'Often bought together');
+  // Items that are probably running low, most overdue first
+  for (const { name, intervalDays, daysSince } of getOverdueItems(history, now)) {
+    addSuggestion(name, `Usually every ${intervalDays} days, last bought ${daysSince} days ago`);
+  }
+
+  // Items usually bought with what's already on the list
+  if (associationRules) {
+    for (const { name, reason } of getAssociatedItems(associationRules, currentItems)) {
+      addSuggestion(name, reason);
+    }
   }
 
   // Frequency-based suggestions (most purchased items not in current list)
@@ -119,5 +175,13 @@ export const getSuggestions = (history, currentItems, maxSuggestions = 8) => {
     addSuggestion(name, 'Recently purchased');
   }
 
-  return suggestions.slice(0, maxSuggestions);
+  // Suggestions the user keeps dismissing drop back, but aren't hidden for good
+  const rank = (suggestion, index) => (
+    index + (feedbackIndex.get(feedbackKey(suggestion.name))?.dismissCount ?? 0) * DISMISS_PENALTY
+  );
+  return suggestions
+    .map((suggestion, index) => ({ suggestion, rank: rank(suggestion, index) }))
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, maxSuggestions)
+    .map(({ suggestion }) => suggestion);
 };
@@ -0,0 +1,49 @@
+/**
+ * Tracks connectivity and Firestore writes that haven't been acknowledged by
+ * the server yet. With offline persistence enabled, writes apply to the local
+ * cache immediately but their promises only settle once the server confirms,
+ * so callers hand write promises to `trackWrite` instead of awaiting them.
+ */
+
+let status = {
+  isOnline: typeof navigator === 'undefined' ? true : navigator.onLine,
+  pendingWrites: 0,
+};
+const listeners = new Set();
+
+const setStatus = (updates) => {
+  status = { ...status, ...updates };
+  listeners.forEach((listener) => listener());
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => setStatus({ isOnline: true }));
+  window.addEventListener('offline', () => setStatus({ isOnline: false }));
+}
+
+/**
+ * Registers a pending write. The counter drops once the server acknowledges
+ * (or rejects) it. Failures are logged rather than thrown, since nothing is
+ * waiting on the promise.
+ * @param {Promise} write - A Firestore write promise
+ * @returns {Promise} The same promise
+ */
+export const trackWrite = (write) => {
+  setStatus({ pendingWrites: status.pendingWrites + 1 });
+  write
+    .catch((err) => console.error('Firestore write failed:', err))
+    .finally(() => setStatus({ pendingWrites: status.pendingWrites - 1 }));
+  return write;
+};
+
+/** @returns {{isOnline: boolean, pendingWrites: number}} The current sync status */
+export const getSyncStatus = () => status;
+
+/**
+ * Subscribes to sync status changes (compatible with useSyncExternalStore).
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeSyncStatus = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
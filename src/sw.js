@@ -0,0 +1,54 @@
+/**
+ * Service worker - caches the app shell so the app opens with no network.
+ * Built by the `serviceWorker` plugin in vite.config.js, which replaces the
+ * placeholders below with the build's file list and a version hash.
+ * Firestore data is not handled here; the SDK keeps its own offline cache.
+ */
+
+const PRECACHE_URLS = self.__PRECACHE_URLS__;
+const CACHE_NAME = `shell-${self.__CACHE_VERSION__}`;
+
+self.addEventListener('install', (event) => {
+  // Wait for the page to send SKIP_WAITING so an update never swaps code
+  // underneath an open tab
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((key) => key.startsWith('shell-') && key !== CACHE_NAME)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // Page loads: try the network for the latest index.html, fall back to the cached shell.
+  // Every route renders the same shell, so "/" stands in for any URL
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match('/', { cacheName: CACHE_NAME }))
+    );
+    return;
+  }
+
+  // Build assets have hashed names, so a cached copy is always current
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE_NAME })
+      .then((cached) => cached ?? fetch(request))
+  );
+});
@@ -4,6 +4,9 @@
  * Supports custom user-defined categories that layer on top of built-in ones.
  */
 
+import { normalizeForMatching } from './normalize.js';
+import { similarity } from './fuzzy.js';
+
 export const CATEGORIES = {
   PRODUCE: 'produce',
   DAIRY: 'dairy',
@@ -53,7 +56,7 @@ export const CATEGORY_COLORS = {
  * Keyword-to-category mapping for auto-categorization.
  * Each keyword is lowercase. Matching is done against the item name.
  */
-const KEYWORD_MAP = {
+export const KEYWORD_MAP = {
   // Produce
   apple: CATEGORIES.PRODUCE,
   apples: CATEGORIES.PRODUCE,
@@ -233,62 +236,235 @@ const KEYWORD_MAP = {
   lotion: CATEGORIES.PERSONAL_CARE,
 };
 
+/** Confidence below which a category is treated as a guess worth confirming. */
+export const LOW_CONFIDENCE = 0.7;
+
+/** Minimum similarity for a typo-tolerant keyword match. */
+const MIN_FUZZY_SIMILARITY = 0.8;
+
+/** Words shorter than this are too easy to confuse for typo-tolerant matching. */
+const MIN_FUZZY_LENGTH = 4;
+
+/** Built-in keywords as [normalized keyword, category, keyword] entries. */
+const NORMALIZED_KEYWORDS = Object.entries(KEYWORD_MAP)
+  .map(([keyword, category]) => [normalizeForMatching(keyword), category, keyword]);
+
+/** Whether a category key is built-in or one of the user's custom categories. */
+const isKnownCategory = (key, customCategories) => (
+  Object.values(CATEGORIES).includes(key) || customCategories.some((cat) => cat.key === key)
+);
+
+/** Custom category keywords as [normalized keyword, category, keyword] entries. */
+const normalizeCustomKeywords = (customCategories) => customCategories.flatMap((cat) => (
+  cat.keywords.map((keyword) => [normalizeForMatching(keyword), cat.key, keyword])
+));
+
 /**
- * Categorizes an item name by matching against known keywords.
- * Checks custom category keywords first, then falls back to built-in mappings.
+ * Finds a keyword in a normalized name: the whole name, a multi-word keyword
+ * as a phrase within it, or a single word of it (the last one that matches).
+ * Word matches pointing at different categories ("pepper jack cheese") are
+ * marked ambiguous.
+ * @returns {{category: string, keyword: string, rule: string, isAmbiguous?: boolean}|null}
+ *   keyword is the keyword as written, not its normalized form
+ */
+const findKeywordMatch = (text, entries) => {
+  const padded = ` ${text} `;
+  const words = text.split(' ');
+  let phrase = null;
+  const wordMatches = [];
+  for (const [normalized, category, keyword] of entries) {
+    if (!normalized) continue;
+    if (text === normalized) return { category, keyword, rule: 'exact' };
+    if (normalized.includes(' ')) {
+      if (!phrase && padded.includes(` ${normalized} `)) phrase = { category, keyword, rule: 'phrase' };
+    } else if (words.includes(normalized)) {
+      wordMatches.push({ category, keyword, rule: 'word', position: words.indexOf(normalized) });
+    }
+  }
+  if (phrase) return phrase;
+  if (wordMatches.length === 0) return null;
+  // The last matching word is usually the head noun: "apple juice" is a juice
+  const { position: _position, ...last } = wordMatches.reduce((a, b) => (b.position > a.position ? b : a));
+  const isAmbiguous = wordMatches.some((m) => m.category !== last.category);
+  return { ...last, isAmbiguous };
+};
+
+/**
+ * Finds the keyword closest to the name, or one of its words, by edit distance,
+ * so "tomatoe" or "brocoli" still match.
+ * @returns {{category: string, keyword: string, similarity: number}|null}
+ */
+const findFuzzyMatch = (text, entries) => {
+  const words = text.split(' ').filter((word) => word.length >= MIN_FUZZY_LENGTH);
+  let best = null;
+  for (const [normalized, category, keyword] of entries) {
+    if (normalized.length < MIN_FUZZY_LENGTH) continue;
+    const candidates = normalized.includes(' ') ? [text] : words;
+    for (const candidate of candidates) {
+      const score = similarity(candidate, normalized);
+      if (score >= MIN_FUZZY_SIMILARITY && score > (best?.similarity ?? 0)) {
+        best = { category, keyword, similarity: score };
+      }
+    }
+  }
+  return best;
+};
+
+/** Confidence for each kind of keyword match. */
+const MATCH_CONFIDENCE = {
+  exact: 1,
+  phrase: 0.9,
+  word: 0.85,
+  ambiguousWord: 0.6,
+};
+
+const keywordResult = (match) => ({
+  category: match.category,
+  confidence: match.isAmbiguous ? MATCH_CONFIDENCE.ambiguousWord : MATCH_CONFIDENCE[match.rule],
+  rule: match.rule,
+  keyword: match.keyword,
+});
+
+/**
+ * Categorizes an item name and reports how sure the match is.
+ * Names are normalized first (accents folded, numbers and punctuation dropped,
+ * plurals singularized), so "Strawberries, organic" and "2% milk" match.
+ * Checks the user's own corrections first, then custom category keywords,
+ * then built-in exact matches, the learned classifier, built-in phrase and
+ * word matches, and finally typo-tolerant matches against all keywords.
  * @param {string} itemName - The name of the grocery item
  * @param {Array} [customCategories=[]] - User-defined categories with keywords
- * @returns {string} The category key
+ * @param {Object|null} [learned=null] - Learned state from buildCategoryLearning
+ * @returns {{
+ *   category: string,
+ *   confidence: number,
+ *   rule: 'override'|'exact'|'phrase'|'word'|'learned'|'fuzzy'|'none',
+ *   keyword: string|null
+ * }} confidence is between 0 and 1; below LOW_CONFIDENCE it is a guess
  */
-export const categorizeItem = (itemName, customCategories = []) => {
+export const categorizeItemWithConfidence = (itemName, customCategories = [], learned = null) => {
   const normalized = itemName.toLowerCase().trim();
+  const cleaned = normalizeForMatching(itemName);
 
-  // Check custom categories first (user keywords take priority)
-  for (const cat of customCategories) {
-    for (const keyword of cat.keywords) {
-      const kw = keyword.toLowerCase();
-      if (normalized === kw) return cat.key;
-      if (kw.includes(' ') && normalized.includes(kw)) return cat.key;
-    }
-    // Single-word fallback for custom keywords
-    const words = normalized.split(/\s+/);
-    for (const word of words) {
-      for (const keyword of cat.keywords) {
-        if (word === keyword.toLowerCase()) return cat.key;
-      }
-    }
+  // A manual recategorization of this exact item always wins
+  const override = learned?.overrides.get(normalized.replace(/\s+/g, ' '));
+  if (override && isKnownCategory(override, customCategories)) {
+    return { category: override, confidence: 1, rule: 'override', keyword: null };
   }
 
+  // Custom category keywords take priority over built-in ones
+  const customKeywords = normalizeCustomKeywords(customCategories);
+  const customMatch = findKeywordMatch(cleaned, customKeywords);
+  if (customMatch) return keywordResult(customMatch);
+
   // Built-in exact match
   if (KEYWORD_MAP[normalized]) {
-    return KEYWORD_MAP[normalized];
+    return { category: KEYWORD_MAP[normalized], confidence: 1, rule: 'exact', keyword: normalized };
+  }
+  const normalizedExact = NORMALIZED_KEYWORDS.find(([keyword]) => keyword === cleaned);
+  if (normalizedExact) {
+    return { category: normalizedExact[1], confidence: 0.95, rule: 'exact', keyword: normalizedExact[2] };
   }
 
-  // Multi-word phrase match
-  for (const [keyword, category] of Object.entries(KEYWORD_MAP)) {
-    if (keyword.includes(' ') && normalized.includes(keyword)) {
-      return category;
-    }
+  // Classifier trained on the user's corrections, before the looser phrase
+  // and word matches below
+  const guess = learned?.classify(normalized);
+  if (guess && isKnownCategory(guess.category, customCategories)) {
+    return { category: guess.category, confidence: guess.confidence, rule: 'learned', keyword: null };
   }
 
-  // Single-word match
-  const words = normalized.split(/\s+/);
-  for (const word of words) {
-    if (KEYWORD_MAP[word]) {
-      return KEYWORD_MAP[word];
-    }
+  const builtInMatch = findKeywordMatch(cleaned, NORMALIZED_KEYWORDS);
+  if (builtInMatch) return keywordResult(builtInMatch);
+
+  const fuzzyMatch = findFuzzyMatch(cleaned, [...customKeywords, ...NORMALIZED_KEYWORDS]);
+  if (fuzzyMatch) {
+    return {
+      category: fuzzyMatch.category,
+      confidence: fuzzyMatch.similarity * 0.75,
+      rule: 'fuzzy',
+      keyword: fuzzyMatch.keyword,
+    };
   }
 
-  return CATEGORIES.OTHER;
+  return { category: CATEGORIES.OTHER, confidence: 0, rule: 'none', keyword: null };
+};
+
+/**
+ * Finds keywords of a custom category that clash with other keywords.
+ * A keyword can be claimed by another custom category too (the one earlier
+ * in the custom category order wins), or shadow a built-in keyword (the
+ * custom category always wins). Keywords are compared in normalized form, so
+ * "Chips" and "chip" clash.
+ * @param {Array<string>} keywords - Keywords of the category being checked
+ * @param {string|null} categoryKey - Its key, or null for a category not created yet
+ * @param {Array} customCategories - All custom categories, in order
+ * @returns {Array<{
+ *   keyword: string,
+ *   type: 'duplicate'|'shadow',
+ *   otherCategory: string,
+ *   isWinner: boolean
+ * }>} otherCategory is the category key the keyword clashes with
+ */
+export const findKeywordConflicts = (keywords, categoryKey, customCategories) => {
+  const ownIndex = categoryKey ? customCategories.findIndex((cat) => cat.key === categoryKey) : -1;
+  const ownPosition = ownIndex === -1 ? customCategories.length : ownIndex;
+  const conflicts = [];
+  for (const keyword of keywords) {
+    const normalized = normalizeForMatching(keyword);
+    if (!normalized) continue;
+    customCategories.forEach((cat, index) => {
+      if (cat.key === categoryKey) return;
+      if (cat.keywords.some((k) => normalizeForMatching(k) === normalized)) {
+        conflicts.push({ keyword, type: 'duplicate', otherCategory: cat.key, isWinner: ownPosition < index });
+      }
+    });
+    const builtIn = NORMALIZED_KEYWORDS.find(([k]) => k === normalized);
+    if (builtIn) {
+      conflicts.push({ keyword, type: 'shadow', otherCategory: builtIn[1], isWinner: true });
+    }
+  }
+  return conflicts;
 };
 
+/**
+ * Categorizes an item name by matching against known keywords.
+ * See categorizeItemWithConfidence for the matching order.
+ * @param {string} itemName - The name of the grocery item
+ * @param {Array} [customCategories=[]] - User-defined categories with keywords
+ * @param {Object|null} [learned=null] - Learned state from buildCategoryLearning
+ * @returns {string} The category key
+ */
+export const categorizeItem = (itemName, customCategories = [], learned = null) => (
+  categorizeItemWithConfidence(itemName, customCategories, learned).category
+);
+
+/**
+ * Generates the key for a new custom category. The random suffix keeps keys
+ * unique when several are created at once, e.g. by an import.
+ */
+export const createCustomCategoryKey = () => `custom_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Per-user category settings customize the built-in categories:
+ * `labels` and `colors` override CATEGORY_LABELS and CATEGORY_COLORS by key,
+ * `hidden` lists built-in keys to hide and `order` holds every category key
+ * (built-in and custom) in the user's preferred order.
+ * @typedef {{
+ *   labels?: Object<string, string>,
+ *   colors?: Object<string, string>,
+ *   hidden?: Array<string>,
+ *   order?: Array<string>
+ * }} CategorySettings
+ */
+
 /**
  * Merges built-in category labels with custom category labels.
  * @param {Array} customCategories - User-defined categories
+ * @param {CategorySettings|null} [settings=null] - The user's built-in overrides
  * @returns {Object} Combined label map keyed by category key
  */
-export const getAllCategoryLabels = (customCategories = []) => {
-  const merged = { ...CATEGORY_LABELS };
+export const getAllCategoryLabels = (customCategories = [], settings = null) => {
+  const merged = { ...CATEGORY_LABELS, ...settings?.labels };
   for (const cat of customCategories) {
     merged[cat.key] = cat.name;
   }
@@ -298,10 +474,11 @@ export const getAllCategoryLabels = (customCategories = []) => {
 /**
  * Merges built-in category colors with custom category colors.
  * @param {Array} customCategories - User-defined categories
+ * @param {CategorySettings|null} [settings=null] - The user's built-in overrides
  * @returns {Object} Combined color map keyed by category key
  */
-export const getAllCategoryColors = (customCategories = []) => {
-  const merged = { ...CATEGORY_COLORS };
+export const getAllCategoryColors = (customCategories = [], settings = null) => {
+  const merged = { ...CATEGORY_COLORS, ...settings?.colors };
   for (const cat of customCategories) {
     merged[cat.key] = cat.color;
   }
@@ -309,18 +486,51 @@ export const getAllCategoryColors = (customCategories = []) => {
 };
 
 /**
- * Returns the ordered list of all category keys (built-in + custom).
+ * Returns every category key (built-in + custom), hidden ones included, in
+ * the user's order. Categories missing from the saved order, such as ones
+ * created since, keep their default place before "other".
  * @param {Array} customCategories - User-defined categories
+ * @param {CategorySettings|null} [settings=null] - The user's built-in overrides
  * @returns {Array<string>} All category keys in display order
  */
-export const getAllCategoryKeys = (customCategories = []) => {
+export const getOrderedCategoryKeys = (customCategories = [], settings = null) => {
   const builtIn = Object.values(CATEGORIES);
   const customKeys = customCategories.map((cat) => cat.key);
   // Insert custom categories before "other"
   const otherIndex = builtIn.indexOf(CATEGORIES.OTHER);
-  return [
+  const defaults = [
     ...builtIn.slice(0, otherIndex),
     ...customKeys,
     ...builtIn.slice(otherIndex),
   ];
+  if (!settings?.order?.length) return defaults;
+
+  const ordered = settings.order.filter((key) => defaults.includes(key));
+  const missing = defaults.filter((key) => !ordered.includes(key) && key !== CATEGORIES.OTHER);
+  const otherAt = ordered.indexOf(CATEGORIES.OTHER);
+  if (otherAt === -1) return [...ordered, ...missing, CATEGORIES.OTHER];
+  return [...ordered.slice(0, otherAt), ...missing, ...ordered.slice(otherAt)];
 };
+
+/**
+ * Returns the ordered list of visible category keys (built-in + custom).
+ * @param {Array} customCategories - User-defined categories
+ * @param {CategorySettings|null} [settings=null] - The user's built-in overrides
+ * @returns {Array<string>} Category keys in display order, without hidden ones
+ */
+export const getAllCategoryKeys = (customCategories = [], settings = null) => {
+  const hidden = settings?.hidden ?? [];
+  return getOrderedCategoryKeys(customCategories, settings).filter((key) => !hidden.includes(key));
+};
+
+/**
+ * Category an item is shown under: its own, unless that is hidden or no
+ * longer exists, in which case it is shown under "other". The item keeps its
+ * category, so unhiding brings it back.
+ * @param {string|null} category - The item's category key
+ * @param {Array<string>} visibleKeys - From getAllCategoryKeys
+ * @returns {string}
+ */
+export const getDisplayCategory = (category, visibleKeys) => (
+  category && visibleKeys.includes(category) ? category : CATEGORIES.OTHER
+);
@@ -0,0 +1,65 @@
+/**
+ * Date helpers for values read from Firestore.
+ * Timestamps arrive as Firestore Timestamp objects, or null while a
+ * serverTimestamp() write is still pending.
+ */
+
+const MS_PER_MINUTE = 60 * 1000;
+export const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+/**
+ * Converts a Firestore Timestamp, Date, ISO string or millisecond value to a Date.
+ * @returns {Date|null} null for missing or unparseable values
+ */
+export const toDate = (value) => {
+  if (value == null) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/** Formats a date as e.g. "Mar 4, 10:32 AM". Returns '' for missing dates. */
+export const formatDateTime = (value) => {
+  const date = toDate(value);
+  if (!date) return '';
+  return date.toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+};
+
+/** Formats a date without the time, e.g. "Mar 4". Returns '' for missing dates. */
+export const formatDate = (value) => {
+  const date = toDate(value);
+  if (!date) return '';
+  return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+/** Formats a date for an `<input type="date">` ("2024-03-04"), in local time. */
+export const toDateInputValue = (value) => {
+  const date = toDate(value);
+  if (!date) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/** Reads an `<input type="date">` value as local midnight, or null when empty. */
+export const fromDateInputValue = (text) => {
+  const [year, month, day] = text.split('-').map(Number);
+  return text ? new Date(year, month - 1, day) : null;
+};
+
+/** Formats the time between two dates as e.g. "45 min" or "1 h 20 min". */
+export const formatDuration = (start, end) => {
+  const from = toDate(start);
+  const to = toDate(end);
+  if (!from || !to) return '';
+  const minutes = Math.max(0, Math.round((to - from) / MS_PER_MINUTE));
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+};
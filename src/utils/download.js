@@ -0,0 +1,15 @@
+/**
+ * Saves text as a file through the browser's download prompt.
+ * @param {string} fileName - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} [type='application/json'] - MIME type
+ */
+export const downloadFile = (fileName, content, type = 'application/json') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Some browsers start the download after click() returns; revoking right away can cancel it
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
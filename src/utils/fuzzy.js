@@ -0,0 +1,77 @@
+/**
+ * Small fuzzy string matching helpers.
+ * Used to resolve loosely typed names (stores, aisles, keywords) against
+ * known values without requiring an exact match.
+ */
+
+/**
+ * Levenshtein edit distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Minimum number of single-character edits
+ */
+export const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+};
+
+/**
+ * Similarity between 0 (nothing in common) and 1 (identical), based on edit distance.
+ */
+export const similarity = (a, b) => {
+  const maxLength = Math.max(a.length, b.length);
+  if (maxLength === 0) return 1;
+  return 1 - editDistance(a, b) / maxLength;
+};
+
+const simplify = (str) => str.toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Scores how well a typed query matches a candidate label.
+ * Exact matches score 1, prefix/substring matches 0.9, otherwise the best
+ * edit-distance similarity against the whole label or any of its words.
+ */
+export const matchScore = (query, label) => {
+  const q = simplify(query);
+  const l = simplify(label);
+  if (!q || !l) return 0;
+  if (q === l) return 1;
+  // Compare with spaces removed so "wholefoods" matches "Whole Foods"
+  const qCompact = q.replace(/\s/g, '');
+  const lCompact = l.replace(/\s/g, '');
+  if (qCompact === lCompact) return 0.95;
+  if (l.startsWith(q) || l.includes(` ${q}`) || lCompact.startsWith(qCompact)) return 0.9;
+  const wordScores = l.split(' ').map((word) => similarity(q, word));
+  return Math.max(similarity(q, l), ...wordScores);
+};
+
+/**
+ * Finds the candidate that best matches a query.
+ * @param {string} query - What the user typed
+ * @param {Array} candidates - Values to search
+ * @param {Function} [getLabel] - Maps a candidate to the string to compare against
+ * @param {number} [threshold=0.6] - Minimum score to count as a match
+ * @returns {{item: *, score: number}|null} The best match, or null if nothing is close enough
+ */
+export const findBestMatch = (query, candidates, getLabel = (c) => c, threshold = 0.6) => {
+  let best = null;
+  for (const candidate of candidates) {
+    const score = matchScore(query, getLabel(candidate));
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { item: candidate, score };
+    }
+  }
+  return best;
+};
@@ -0,0 +1,46 @@
+/**
+ * Text normalization for matching item names against keywords.
+ * Produces a matching key rather than display text: accents are folded,
+ * punctuation and numbers dropped, and each word reduced to a singular stem,
+ * so "Strawberries, organic", "2% milk" and "Jalapeños" line up with the
+ * keywords "strawberries", "milk" and "jalapeno".
+ */
+
+/** Words that end in "s" but aren't plurals. */
+const NON_PLURALS = new Set(['hummus', 'asparagus', 'couscous', 'molasses', 'swiss', 'citrus', 'grits', 'series']);
+
+/**
+ * Reduces an English plural to a singular stem. The result is consistent
+ * rather than always correct: "cookies" and "cookie" both become "cooky".
+ * @param {string} word - A lowercase word
+ * @returns {string}
+ */
+export const singularize = (word) => {
+  if (word.length <= 3 || NON_PLURALS.has(word)) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('ie')) return `${word.slice(0, -2)}y`;
+  if (word.endsWith('oes')) return word.slice(0, -2);
+  if (/(ch|sh|x|ss)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+/** Removes diacritics: "jalapeño" -> "jalapeno", "crème" -> "creme". */
+export const foldAccents = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Normalizes text into a matching key: lowercase, accents folded, words
+ * containing digits dropped ("2%", "12oz"), punctuation removed and every
+ * word singularized.
+ * @param {string} text
+ * @returns {string} Space-separated words, possibly empty
+ */
+export const normalizeForMatching = (text) => foldAccents(text.toLowerCase())
+  .split(/\s+/)
+  .filter((word) => !/\d/.test(word))
+  .join(' ')
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(singularize)
+  .join(' ');
@@ -0,0 +1,40 @@
+/**
+ * Item priority levels. Items without a priority are treated as normal.
+ */
+
+export const PRIORITIES = {
+  URGENT: 'urgent',
+  HIGH: 'high',
+  LOW: 'low',
+};
+
+export const PRIORITY_LABELS = {
+  [PRIORITIES.URGENT]: 'Urgent',
+  [PRIORITIES.HIGH]: 'High',
+  [PRIORITIES.LOW]: 'Low',
+};
+
+export const PRIORITY_COLORS = {
+  [PRIORITIES.URGENT]: '#e53935',
+  [PRIORITIES.HIGH]: '#fb8c00',
+  [PRIORITIES.LOW]: '#90a4ae',
+};
+
+/** Words accepted after "!" in quick-add text. */
+const PRIORITY_ALIASES = {
+  urgent: PRIORITIES.URGENT,
+  asap: PRIORITIES.URGENT,
+  now: PRIORITIES.URGENT,
+  high: PRIORITIES.HIGH,
+  important: PRIORITIES.HIGH,
+  low: PRIORITIES.LOW,
+  later: PRIORITIES.LOW,
+  whenever: PRIORITIES.LOW,
+};
+
+/**
+ * Resolves a typed priority word to a priority key.
+ * @param {string} raw - e.g. "urgent", "ASAP"
+ * @returns {string|null}
+ */
+export const normalizePriority = (raw) => PRIORITY_ALIASES[raw?.toLowerCase()] ?? null;
@@ -0,0 +1,38 @@
+/**
+ * Role helpers for shared shopping lists.
+ * The owner is whoever the list lives under; everyone else gets the role
+ * recorded on the list's `members` map when they joined.
+ */
+
+export const LIST_ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer',
+};
+
+export const LIST_ROLE_LABELS = {
+  [LIST_ROLES.OWNER]: 'Owner',
+  [LIST_ROLES.EDITOR]: 'Editor',
+  [LIST_ROLES.VIEWER]: 'Viewer',
+};
+
+/**
+ * Resolves the current user's role on a list.
+ * @param {Object|null} list - A list object from subscribeLists
+ * @param {string|null} userId - The signed-in user's ID
+ * @returns {string|null} One of LIST_ROLES, or null if the user has no access
+ */
+export const getListRole = (list, userId) => {
+  if (!list || !userId) return null;
+  if (list.ownerId === userId) return LIST_ROLES.OWNER;
+  return list.members?.[userId]?.role ?? null;
+};
+
+/** Whether the user may add, check, edit or remove items on the list. */
+export const canEditList = (list, userId) => {
+  const role = getListRole(list, userId);
+  return role === LIST_ROLES.OWNER || role === LIST_ROLES.EDITOR;
+};
+
+/** Whether the list is shared with at least one other user. */
+export const isSharedList = (list) => (list?.memberIds?.length ?? 0) > 0;
@@ -0,0 +1,224 @@
+/**
+ * Quantity and unit helpers for shopping list items.
+ * Normalizes the many ways a unit can be written ("Tbsp", "tablespoons", "T")
+ * to a canonical key, parses quantities like "1 1/2" and formats them back
+ * for display. Units in the same dimension (volume or weight) can be combined.
+ */
+
+/**
+ * Canonical units with display labels and optional conversion to a base unit
+ * (milliliters for volume, grams for weight). Count-style units have no
+ * dimension and only combine with themselves.
+ */
+export const UNITS = {
+  tsp: { label: 'tsp', plural: 'tsp', dimension: 'volume', toBase: 4.92892 },
+  tbsp: { label: 'tbsp', plural: 'tbsp', dimension: 'volume', toBase: 14.7868 },
+  cup: { label: 'cup', plural: 'cups', dimension: 'volume', toBase: 236.588 },
+  floz: { label: 'fl oz', plural: 'fl oz', dimension: 'volume', toBase: 29.5735 },
+  pt: { label: 'pint', plural: 'pints', dimension: 'volume', toBase: 473.176 },
+  qt: { label: 'quart', plural: 'quarts', dimension: 'volume', toBase: 946.353 },
+  gal: { label: 'gallon', plural: 'gallons', dimension: 'volume', toBase: 3785.41 },
+  ml: { label: 'ml', plural: 'ml', dimension: 'volume', toBase: 1 },
+  l: { label: 'L', plural: 'L', dimension: 'volume', toBase: 1000 },
+  oz: { label: 'oz', plural: 'oz', dimension: 'weight', toBase: 28.3495 },
+  lb: { label: 'lb', plural: 'lb', dimension: 'weight', toBase: 453.592 },
+  g: { label: 'g', plural: 'g', dimension: 'weight', toBase: 1 },
+  kg: { label: 'kg', plural: 'kg', dimension: 'weight', toBase: 1000 },
+  clove: { label: 'clove', plural: 'cloves' },
+  slice: { label: 'slice', plural: 'slices' },
+  piece: { label: 'piece', plural: 'pieces' },
+  can: { label: 'can', plural: 'cans' },
+  jar: { label: 'jar', plural: 'jars' },
+  bottle: { label: 'bottle', plural: 'bottles' },
+  box: { label: 'box', plural: 'boxes' },
+  bag: { label: 'bag', plural: 'bags' },
+  package: { label: 'package', plural: 'packages' },
+  bunch: { label: 'bunch', plural: 'bunches' },
+  head: { label: 'head', plural: 'heads' },
+  stalk: { label: 'stalk', plural: 'stalks' },
+  sprig: { label: 'sprig', plural: 'sprigs' },
+  dozen: { label: 'dozen', plural: 'dozen' },
+  pinch: { label: 'pinch', plural: 'pinches' },
+  dash: { label: 'dash', plural: 'dashes' },
+  handful: { label: 'handful', plural: 'handfuls' },
+};
+
+/** Lowercase spellings (singular and plural) mapped to canonical unit keys. */
+const UNIT_ALIASES = {
+  tsp: 'tsp', tsps: 'tsp', teaspoon: 'tsp', teaspoons: 'tsp',
+  tbsp: 'tbsp', tbsps: 'tbsp', tbs: 'tbsp', tbl: 'tbsp', tablespoon: 'tbsp', tablespoons: 'tbsp',
+  c: 'cup', cup: 'cup', cups: 'cup',
+  'fl oz': 'floz', floz: 'floz', 'fluid ounce': 'floz', 'fluid ounces': 'floz',
+  pt: 'pt', pint: 'pt', pints: 'pt',
+  qt: 'qt', quart: 'qt', quarts: 'qt',
+  gal: 'gal', gallon: 'gal', gallons: 'gal',
+  ml: 'ml', milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+  l: 'l', liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+  oz: 'oz', ounce: 'oz', ounces: 'oz',
+  lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb',
+  g: 'g', gr: 'g', gram: 'g', grams: 'g',
+  kg: 'kg', kgs: 'kg', kilogram: 'kg', kilograms: 'kg',
+  clove: 'clove', cloves: 'clove',
+  slice: 'slice', slices: 'slice',
+  piece: 'piece', pieces: 'piece', pc: 'piece', pcs: 'piece',
+  can: 'can', cans: 'can',
+  jar: 'jar', jars: 'jar',
+  bottle: 'bottle', bottles: 'bottle',
+  box: 'box', boxes: 'box',
+  bag: 'bag', bags: 'bag',
+  package: 'package', packages: 'package', pkg: 'package', pkgs: 'package', pack: 'package', packs: 'package',
+  bunch: 'bunch', bunches: 'bunch',
+  head: 'head', heads: 'head',
+  stalk: 'stalk', stalks: 'stalk',
+  sprig: 'sprig', sprigs: 'sprig',
+  dozen: 'dozen', doz: 'dozen',
+  pinch: 'pinch', pinches: 'pinch',
+  dash: 'dash', dashes: 'dash',
+  handful: 'handful', handfuls: 'handful',
+};
+
+/** Single-letter aliases are case-sensitive in recipes ("T" = tbsp, "t" = tsp). */
+const CASE_SENSITIVE_ALIASES = { T: 'tbsp', t: 'tsp' };
+
+/**
+ * Resolves a written unit to its canonical key.
+ * @param {string|null} raw - e.g. "Tablespoons", "lbs.", "fl oz"
+ * @returns {string|null} Canonical unit key, or null if unrecognized
+ */
+export const normalizeUnit = (raw) => {
+  if (!raw) return null;
+  const trimmed = raw.trim().replace(/\.$/, '');
+  if (CASE_SENSITIVE_ALIASES[trimmed]) return CASE_SENSITIVE_ALIASES[trimmed];
+  return UNIT_ALIASES[trimmed.toLowerCase()] ?? null;
+};
+
+/**
+ * Parses a numeric quantity string.
+ * "2" -> 2, "1.5" -> 1.5, "1/2" -> 0.5, "1 1/2" -> 1.5
+ * @param {string} raw
+ * @returns {number|null} The quantity, or null if it isn't a number
+ */
+export const parseQuantity = (raw) => {
+  const trimmed = String(raw ?? '').trim();
+  if (!trimmed) return null;
+  const mixed = trimmed.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) {
+    return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+  }
+  const fraction = trimmed.match(/^(\d+)\/(\d+)$/);
+  if (fraction) {
+    return Number(fraction[2]) === 0 ? null : Number(fraction[1]) / Number(fraction[2]);
+  }
+  const value = Number(trimmed);
+  return Number.isFinite(value) && value > 0 ? value : null;
+};
+
+// The number must stand alone, so "2% milk" and "7 up"-style names stay whole
+const LEADING_QUANTITY = /^(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:\.\d+)?)(?=\s|$)\s*/;
+
+/**
+ * Splits a leading quantity and unit off a piece of text.
+ * "2 cups flour" -> { quantity: 2, unit: 'cup', rest: 'flour' }
+ * "3 eggs" -> { quantity: 3, unit: null, rest: 'eggs' }
+ * "milk" -> { quantity: null, unit: null, rest: 'milk' }
+ * @param {string} text
+ * @returns {{quantity: number|null, unit: string|null, rest: string}}
+ */
+export const splitQuantity = (text) => {
+  const trimmed = text.trim();
+  const qtyMatch = trimmed.match(LEADING_QUANTITY);
+  if (!qtyMatch) {
+    return { quantity: null, unit: null, rest: trimmed };
+  }
+  const quantity = parseQuantity(qtyMatch[1]);
+  let rest = trimmed.slice(qtyMatch[0].length);
+
+  // Try two-word units ("fl oz") before single words
+  const words = rest.split(/\s+/);
+  let unit = null;
+  if (words.length > 2) {
+    unit = normalizeUnit(`${words[0]} ${words[1]}`);
+    if (unit) rest = words.slice(2).join(' ');
+  }
+  if (!unit && words.length > 1) {
+    unit = normalizeUnit(words[0]);
+    if (unit) rest = words.slice(1).join(' ');
+  }
+  rest = rest.replace(/^of\s+/i, '').trim();
+
+  return { quantity, unit, rest };
+};
+
+/**
+ * Formats a number for display, preferring common fractions.
+ * 0.5 -> "1/2", 1.25 -> "1 1/4", 2 -> "2", 0.4 -> "0.4"
+ */
+const formatNumber = (value) => {
+  const whole = Math.floor(value);
+  const frac = value - whole;
+  const FRACTIONS = [[1 / 4, '1/4'], [1 / 3, '1/3'], [1 / 2, '1/2'], [2 / 3, '2/3'], [3 / 4, '3/4']];
+  if (frac < 0.01) return String(whole);
+  for (const [amount, label] of FRACTIONS) {
+    if (Math.abs(frac - amount) < 0.01) {
+      return whole > 0 ? `${whole} ${label}` : label;
+    }
+  }
+  return String(Math.round(value * 100) / 100);
+};
+
+/**
+ * Formats a quantity and unit for display.
+ * (2, 'cup') -> "2 cups", (0.5, 'lb') -> "1/2 lb", (3, null) -> "3"
+ * @returns {string} Empty string when there is no quantity
+ */
+export const formatQuantity = (quantity, unit) => {
+  if (quantity == null) {
+    return unit ? UNITS[unit]?.label ?? unit : '';
+  }
+  const number = formatNumber(quantity);
+  if (!unit) return number;
+  const def = UNITS[unit];
+  if (!def) return `${number} ${unit}`;
+  return `${number} ${quantity > 1 ? def.plural : def.label}`;
+};
+
+/**
+ * Adds two quantities together when their units are compatible.
+ * A missing quantity counts as 1 of that unit. Units in the same dimension are
+ * converted into the first amount's unit.
+ * @param {{quantity: number|null, unit: string|null}} a - The existing amount
+ * @param {{quantity: number|null, unit: string|null}} b - The amount to add
+ * @returns {{quantity: number, unit: string|null}|null} The sum, or null if the units can't be combined
+ */
+export const addQuantities = (a, b) => {
+  const qtyA = a.quantity ?? 1;
+  const qtyB = b.quantity ?? 1;
+  const unitA = a.unit ?? null;
+  const unitB = b.unit ?? null;
+
+  if (unitA === unitB) {
+    return { quantity: qtyA + qtyB, unit: unitA };
+  }
+
+  const defA = UNITS[unitA];
+  const defB = UNITS[unitB];
+  if (defA?.dimension && defA.dimension === defB?.dimension) {
+    const converted = (qtyB * defB.toBase) / defA.toBase;
+    return { quantity: Math.round((qtyA + converted) * 100) / 100, unit: unitA };
+  }
+
+  return null;
+};
+
+/**
+ * Subtracts one quantity from another when their units are compatible.
+ * A missing quantity counts as 1 of that unit. The result is in the first
+ * amount's unit and may be zero or negative.
+ * @param {{quantity: number|null, unit: string|null}} a - The amount to take from
+ * @param {{quantity: number|null, unit: string|null}} b - The amount to take away
+ * @returns {{quantity: number, unit: string|null}|null} The difference, or null if the units can't be combined
+ */
+export const subtractQuantities = (a, b) => {
+  const difference = addQuantities(a, { quantity: -(b.quantity ?? 1), unit: b.unit });
+  return difference && { ...difference, quantity: Math.round(difference.quantity * 100) / 100 };
+};
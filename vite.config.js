@@ -1,7 +1,50 @@
+import { readFileSync, readdirSync, statSync } from 'node:fs'
+import { join, sep } from 'node:path'
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Emits src/sw.js as /sw.js with the list of build files to precache
+const serviceWorker = () => {
+  let publicDir = null
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_options, bundle) {
+      const publicFiles = publicDir
+        ? readdirSync(publicDir, { recursive: true })
+          .filter((file) => statSync(join(publicDir, file)).isFile())
+          .map((file) => file.split(sep).join('/'))
+        : []
+      const files = [...Object.keys(bundle), ...publicFiles]
+        .filter((file) => !file.endsWith('.map'))
+        .sort()
+      const urls = ['/', ...files.map((file) => `/${file}`)]
+
+      // Hash file contents so any change to the build produces a new cache
+      const hash = createHash('sha256')
+      for (const file of Object.keys(bundle).sort()) {
+        const output = bundle[file]
+        hash.update(file).update(output.type === 'chunk' ? output.code : output.source)
+      }
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+      hash.update(source)
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: source
+          .replace('self.__PRECACHE_URLS__', JSON.stringify(urls))
+          .replace('self.__CACHE_VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12))),
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })